@@ -4,6 +4,15 @@ require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
 
+// <NAME>_RPC_URLS takes a comma-separated list for the SDK's MultiRpcProvider;
+// Hardhat itself connects to the first entry
+function rpcUrls(name) {
+  return (process.env[`${name}_RPC_URLS`] || process.env[`${name}_RPC_URL`] || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -20,15 +29,15 @@ module.exports = {
       chainId: 1337,
     },
     ethereum: {
-      url: process.env.ETHEREUM_RPC_URL || "",
+      url: rpcUrls("ETHEREUM")[0] || "",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
     },
     arbitrum: {
-      url: process.env.ARBITRUM_RPC_URL || "",
+      url: rpcUrls("ARBITRUM")[0] || "",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
     },
     optimism: {
-      url: process.env.OPTIMISM_RPC_URL || "",
+      url: rpcUrls("OPTIMISM")[0] || "",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
     },
   },
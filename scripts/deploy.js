@@ -1,4 +1,11 @@
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, network } = require("hardhat");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// deployments.json is keyed by the network names the SDK resolves addresses for
+const SDK_NETWORK_NAMES = { ethereum: "mainnet", localhost: "hardhat" };
+const SDK_NETWORKS_BY_CHAIN_ID = { 1: "mainnet", 42161: "arbitrum", 10: "optimism", 1337: "hardhat" };
+const TIMELOCK_DELAY = 2 * 24 * 60 * 60; // 2 days
 
 async function main() {
   console.log("Starting MetaLend deployment...");
@@ -9,6 +16,13 @@ async function main() {
   const LoanPool = await ethers.getContractFactory("LoanPool");
   const LiquidationEngine = await ethers.getContractFactory("LiquidationEngine");
   const MetaLend = await ethers.getContractFactory("MetaLend");
+  const VirtualAssetManager = await ethers.getContractFactory("VirtualAssetManager");
+  const MetaLendToken = await ethers.getContractFactory("MetaLendToken");
+  const TimelockController = await ethers.getContractFactory(
+    "@openzeppelin/contracts/governance/TimelockController.sol:TimelockController"
+  );
+  const GovernanceDAO = await ethers.getContractFactory("GovernanceDAO");
+  const [deployer] = await ethers.getSigners();
 
   // Deploy NFTOracle first
   console.log("Deploying NFTOracle...");
@@ -71,36 +85,108 @@ async function main() {
   await nftOracle.updateFloorPrice(baycAddress, ethers.utils.parseEther("50")); // 50 ETH floor
   await nftOracle.updateFloorPrice(cryptopunksAddress, ethers.utils.parseEther("100")); // 100 ETH floor
 
+  // The SDK cannot discover VirtualAssetManager or GovernanceDAO through MetaLend,
+  // so initialize() needs their addresses in deployments.json; GovernanceDAO in
+  // turn needs the governance token and timelock
+  console.log("Deploying VirtualAssetManager...");
+  const virtualAssetManager = await VirtualAssetManager.deploy(nftOracle.address);
+  await virtualAssetManager.deployed();
+  console.log("VirtualAssetManager deployed to:", virtualAssetManager.address);
+
+  // Deploy governance: token, timelock and DAO
+  console.log("Deploying MetaLendToken...");
+  const metaLendToken = await MetaLendToken.deploy();
+  await metaLendToken.deployed();
+  console.log("MetaLendToken deployed to:", metaLendToken.address);
+
+  console.log("Deploying TimelockController...");
+  const timelock = await TimelockController.deploy(TIMELOCK_DELAY, [], [ethers.constants.AddressZero], deployer.address);
+  await timelock.deployed();
+  console.log("TimelockController deployed to:", timelock.address);
+
+  console.log("Deploying GovernanceDAO...");
+  const governanceDAO = await GovernanceDAO.deploy(metaLendToken.address, timelock.address, metaLend.address);
+  await governanceDAO.deployed();
+  console.log("GovernanceDAO deployed to:", governanceDAO.address);
+
+  console.log("Configuring governance...");
+  await governanceDAO.setProtocolAddresses(
+    collateralManager.address,
+    loanPool.address,
+    liquidationEngine.address,
+    virtualAssetManager.address
+  );
+  await timelock.grantRole(await timelock.PROPOSER_ROLE(), governanceDAO.address);
+  await timelock.grantRole(await timelock.CANCELLER_ROLE(), governanceDAO.address);
+
+  // Local chains have no canonical Multicall3, so deploy one for the SDK's batched reads
+  let multicall3;
+  if (LOCAL_NETWORKS.includes(network.name)) {
+    console.log("Deploying Multicall3...");
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall3 = await Multicall3.deploy();
+    await multicall3.deployed();
+    console.log("Multicall3 deployed to:", multicall3.address);
+  }
+
   console.log("\n=== Deployment Summary ===");
   console.log("NFTOracle:", nftOracle.address);
   console.log("CollateralManager:", collateralManager.address);
   console.log("LoanPool:", loanPool.address);
   console.log("LiquidationEngine:", liquidationEngine.address);
   console.log("MetaLend:", metaLend.address);
+  console.log("VirtualAssetManager:", virtualAssetManager.address);
+  console.log("MetaLendToken:", metaLendToken.address);
+  console.log("TimelockController:", timelock.address);
+  console.log("GovernanceDAO:", governanceDAO.address);
+  if (multicall3) {
+    console.log("Multicall3:", multicall3.address);
+  }
   console.log("\nProtocol initialization completed successfully!");
 
-  // Save deployment addresses to a file
+  // Save deployment addresses to a file, keeping other networks' entries
+  const { chainId } = await ethers.provider.getNetwork();
   const deploymentInfo = {
-    network: await ethers.provider.getNetwork(),
+    chainId,
     timestamp: new Date().toISOString(),
     contracts: {
       NFTOracle: nftOracle.address,
       CollateralManager: collateralManager.address,
       LoanPool: loanPool.address,
       LiquidationEngine: liquidationEngine.address,
-      MetaLend: metaLend.address
+      MetaLend: metaLend.address,
+      VirtualAssetManager: virtualAssetManager.address,
+      MetaLendToken: metaLendToken.address,
+      TimelockController: timelock.address,
+      GovernanceDAO: governanceDAO.address,
+      ...(multicall3 && { Multicall3: multicall3.address })
     },
     supportedAssets: [usdcAddress],
     supportedCollections: [baycAddress, cryptopunksAddress]
   };
 
   const fs = require('fs');
+  let deployments = {};
+  if (fs.existsSync('deployments.json')) {
+    deployments = JSON.parse(fs.readFileSync('deployments.json', 'utf8'));
+    if (deployments.contracts) {
+      // Single-deployment file from an older deploy script; keep it under its network
+      const { network: legacyNetwork, ...legacy } = deployments;
+      const legacyChainId = Number(legacyNetwork && legacyNetwork.chainId);
+      const legacyName = SDK_NETWORKS_BY_CHAIN_ID[legacyChainId] || `chain-${legacyChainId}`;
+      deployments = { [legacyName]: { chainId: legacyChainId, ...legacy } };
+      console.log(`Migrated the existing single-network deployments.json to "${legacyName}"`);
+    }
+  }
+  const networkName = SDK_NETWORK_NAMES[network.name] || network.name;
+  deployments[networkName] = deploymentInfo;
+
   fs.writeFileSync(
     'deployments.json',
-    JSON.stringify(deploymentInfo, null, 2)
+    JSON.stringify(deployments, null, 2)
   );
   
-  console.log("Deployment info saved to deployments.json");
+  console.log(`Deployment info saved to deployments.json under "${networkName}"`);
 }
 
 main()
@@ -0,0 +1,183 @@
+/**
+ * Network-aware contract address registry for the MetaLend SDK
+ * Built from the `deployments.json` written by scripts/deploy.js so the SDK
+ * can resolve protocol addresses from the network name alone
+ */
+
+import { InvalidParameterError, NetworkMismatchError } from './errors.js';
+
+// Networks the SDK knows how to resolve, keyed by the SDK network name
+export const NETWORKS = {
+  mainnet: { chainId: 1 },
+  arbitrum: { chainId: 42161 },
+  optimism: { chainId: 10 },
+  hardhat: { chainId: 1337 }
+};
+
+// Hardhat network names that deploy output may be keyed by
+const NETWORK_ALIASES = {
+  ethereum: 'mainnet',
+  localhost: 'hardhat'
+};
+
+// Deployment contract names => SDK contract keys
+const CONTRACT_KEYS = {
+  MetaLend: 'metaLend',
+  CollateralManager: 'collateralManager',
+  LoanPool: 'loanPool',
+  LiquidationEngine: 'liquidationEngine',
+  NFTOracle: 'nftOracle',
+  VirtualAssetManager: 'virtualAssetManager',
+  GovernanceDAO: 'governanceDAO',
+  MetaLendToken: 'metaLendToken',
+  TimelockController: 'timelockController',
+  GamingAssets: 'gamingAssets',
+  VirtualRealEstate: 'virtualRealEstate',
+  Multicall3: 'multicall3'
+};
+
+// Contracts initialize() cannot discover on-chain
+export const REQUIRED_CONTRACTS = [
+  'metaLend',
+  'collateralManager',
+  'loanPool',
+  'virtualAssetManager',
+  'governanceDAO'
+];
+
+/**
+ * Map an SDK or Hardhat network name to the SDK network name
+ */
+export function normalizeNetworkName(network) {
+  const name = String(network).toLowerCase();
+  return NETWORK_ALIASES[name] || name;
+}
+
+/**
+ * Convert a deployment contract name ("NFTOracle") to its SDK key ("nftOracle")
+ */
+function toContractKey(name) {
+  return CONTRACT_KEYS[name] || name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+class AddressRegistry {
+  /**
+   * `entries` maps SDK network names to { chainId, contracts }
+   */
+  constructor(entries = {}) {
+    this.entries = {};
+    for (const [network, entry] of Object.entries(entries)) {
+      this.register(network, entry.contracts, entry.chainId);
+    }
+  }
+
+  /**
+   * Build a registry from deploy output
+   * Accepts the network-keyed format written by scripts/deploy.js as well as
+   * the older single-deployment format ({ network: { chainId }, contracts })
+   */
+  static fromDeployments(deployments = {}) {
+    const registry = new AddressRegistry();
+
+    if (deployments.contracts) {
+      const chainId = Number(deployments.network && deployments.network.chainId);
+      const network = Object.keys(NETWORKS).find((name) => NETWORKS[name].chainId === chainId);
+      if (network) {
+        registry.register(network, deployments.contracts, chainId);
+      }
+      return registry;
+    }
+
+    for (const [network, deployment] of Object.entries(deployments)) {
+      if (deployment && deployment.contracts) {
+        registry.register(network, deployment.contracts, deployment.chainId);
+      }
+    }
+    return registry;
+  }
+
+  /**
+   * Add or replace the addresses for a network
+   */
+  register(network, contracts = {}, chainId) {
+    const name = normalizeNetworkName(network);
+    const known = NETWORKS[name];
+    const addresses = {};
+    for (const [contractName, address] of Object.entries(contracts)) {
+      addresses[toContractKey(contractName)] = address;
+    }
+
+    this.entries[name] = {
+      chainId: chainId ? Number(chainId) : (known ? known.chainId : null),
+      contracts: { ...(this.entries[name] && this.entries[name].contracts), ...addresses }
+    };
+    return this;
+  }
+
+  /**
+   * Expected chain id for a network, or null if the network is unknown
+   */
+  getChainId(network) {
+    const name = normalizeNetworkName(network);
+    if (this.entries[name] && this.entries[name].chainId) {
+      return this.entries[name].chainId;
+    }
+    return NETWORKS[name] ? NETWORKS[name].chainId : null;
+  }
+
+  /**
+   * SDK network name for a chain id, or null if no network uses it
+   */
+  getNetworkName(chainId) {
+    const id = Number(chainId);
+    const registered = Object.keys(this.entries).find((name) => this.entries[name].chainId === id);
+    return registered || Object.keys(NETWORKS).find((name) => NETWORKS[name].chainId === id) || null;
+  }
+
+  /**
+   * Resolve SDK contract addresses for a network
+   * `overrides` replace individual registry entries, e.g. for forks or local stacks
+   */
+  getAddresses(network, overrides = {}) {
+    const name = normalizeNetworkName(network);
+    const entry = this.entries[name];
+    const addresses = { ...(entry && entry.contracts) };
+
+    for (const [key, address] of Object.entries(overrides)) {
+      if (address) {
+        addresses[key] = address;
+      }
+    }
+
+    const missing = REQUIRED_CONTRACTS.filter((key) => !addresses[key]);
+    if (missing.length > 0) {
+      throw new InvalidParameterError(
+        `No ${missing.join(', ')} address for network "${name}". Pass overrides to initialize() or add the deployment to deployments.json.`,
+        { context: { network: name, missing } }
+      );
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Reject providers connected to a different chain than `network`
+   * Networks without a known chain id are not checked
+   */
+  async verifyNetwork(provider, network, chainId = this.getChainId(network)) {
+    if (!chainId) {
+      return null;
+    }
+
+    const connected = await provider.getNetwork();
+    if (Number(connected.chainId) !== Number(chainId)) {
+      throw new NetworkMismatchError(
+        `Provider is connected to chain ${connected.chainId}, but network "${normalizeNetworkName(network)}" expects chain ${chainId}`,
+        { context: { network: normalizeNetworkName(network), expectedChainId: Number(chainId), chainId: Number(connected.chainId) } }
+      );
+    }
+    return connected;
+  }
+}
+
+export default AddressRegistry;
@@ -0,0 +1,238 @@
+/**
+ * Token approval handling for MetaLend SDK write flows
+ * Checks existing ERC721/ERC1155 approvals and ERC20 allowances and sends only the
+ * approvals that are missing, preferring EIP-2612 permit when requested
+ */
+
+import { ethers } from 'ethers';
+import { TRANSACTION_EVENTS } from './Fees.js';
+
+export const ERC20_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)'
+];
+
+export const ERC721_ABI = [
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function approve(address to, uint256 tokenId)',
+  'function setApprovalForAll(address operator, bool approved)'
+];
+
+export const ERC1155_ABI = [
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function isApprovedForAll(address account, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)'
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const DEFAULT_PERMIT_TTL = 20 * 60; // 20 minutes
+
+class ApprovalManager {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Whether `spender` may already transfer the ERC721 token on behalf of `owner`
+   */
+  async hasERC721Approval(nftContract, tokenId, owner, spender) {
+    const nft = new ethers.Contract(nftContract, ERC721_ABI, this.provider);
+    const [approved, approvedForAll] = await Promise.all([
+      nft.getApproved(tokenId),
+      nft.isApprovedForAll(owner, spender)
+    ]);
+    return approvedForAll || approved.toLowerCase() === spender.toLowerCase();
+  }
+
+  /**
+   * Make sure `spender` may transfer a single ERC721 token on behalf of the signer
+   * Operator approval (isApprovedForAll) is accepted but never requested
+   */
+  async ensureERC721Approval(nftContract, tokenId, spender, signer, callbacks = {}) {
+    const owner = await signer.getAddress();
+    const step = { type: 'erc721', token: nftContract, tokenId: tokenId.toString(), spender };
+
+    if (await this.hasERC721Approval(nftContract, tokenId, owner, spender)) {
+      this.notify(callbacks, { ...step, status: 'skipped' });
+      return null;
+    }
+
+    const nft = new ethers.Contract(nftContract, ERC721_ABI, signer);
+    return this.submit(nft, 'approve', [spender, tokenId], callbacks, step);
+  }
+
+  /**
+   * Whether `spender` is an approved operator for the owner's ERC1155 tokens
+   */
+  async hasERC1155Approval(token, owner, spender) {
+    const erc1155 = new ethers.Contract(token, ERC1155_ABI, this.provider);
+    return erc1155.isApprovedForAll(owner, spender);
+  }
+
+  /**
+   * Make sure `spender` may transfer the signer's ERC1155 tokens
+   * ERC1155 has no per-token approval, so this sets operator approval
+   */
+  async ensureERC1155Approval(token, spender, signer, callbacks = {}) {
+    const owner = await signer.getAddress();
+    const step = { type: 'erc1155', token, spender };
+
+    if (await this.hasERC1155Approval(token, owner, spender)) {
+      this.notify(callbacks, { ...step, status: 'skipped' });
+      return null;
+    }
+
+    const erc1155 = new ethers.Contract(token, ERC1155_ABI, signer);
+    return this.submit(erc1155, 'setApprovalForAll', [spender, true], callbacks, step);
+  }
+
+  /**
+   * Whether `owner` has already allowed `spender` to pull at least `amount`
+   */
+  async hasERC20Allowance(token, amount, owner, spender) {
+    const erc20 = new ethers.Contract(token, ERC20_ABI, this.provider);
+    const allowance = await erc20.allowance(owner, spender);
+    return allowance.gte(amount);
+  }
+
+  /**
+   * Make sure `spender` may pull at least `amount` of an ERC20 from the signer
+   * Approves exactly the amount needed; with `usePermit` set and a token that
+   * implements EIP-2612, a signed permit is submitted instead of approve()
+   */
+  async ensureERC20Allowance(token, amount, spender, signer, options = {}) {
+    const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+    const owner = await signer.getAddress();
+    const value = ethers.BigNumber.from(amount);
+    const step = { type: 'erc20', token, amount: value.toString(), spender };
+
+    if (await this.hasERC20Allowance(token, value, owner, spender)) {
+      this.notify(options, { ...step, status: 'skipped' });
+      return null;
+    }
+
+    if (options.usePermit) {
+      const domain = await this.getPermitDomain(erc20, signer);
+      if (domain) {
+        return this.submitPermit(erc20, domain, owner, spender, value, signer, options, step);
+      }
+    }
+
+    return this.submit(erc20, 'approve', [spender, value], options, step);
+  }
+
+  /**
+   * Sign an EIP-2612 permit and submit it on-chain
+   */
+  async submitPermit(erc20, domain, owner, spender, value, signer, options, step) {
+    const nonce = await erc20.nonces(owner);
+    const deadline = options.permitDeadline ||
+      Math.floor(Date.now() / 1000) + DEFAULT_PERMIT_TTL;
+
+    this.notify(options, { ...step, method: 'permit', status: 'signing' });
+    const signature = await signer._signTypedData(domain, PERMIT_TYPES, {
+      owner,
+      spender,
+      value,
+      nonce,
+      deadline
+    });
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+
+    // The permit can be relayed by any account; default to the token owner
+    const submitter = options.permitSubmitter || signer;
+    return this.submit(erc20.connect(submitter), 'permit', [owner, spender, value, deadline, v, r, s], options, { ...step, method: 'permit' });
+  }
+
+  /**
+   * Send an approval transaction and wait for its receipt
+   * With a `feeManager` in the options it is priced and, when stuck, replaced
+   * like the write it unlocks; `onTransactionEvent` follows it too
+   */
+  async submit(contract, method, args, options, step) {
+    const { feeManager, onTransactionEvent } = options;
+    let receipt;
+    if (feeManager) {
+      const transaction = await contract.populateTransaction[method](...args);
+      receipt = await feeManager.send(contract.signer, transaction, {
+        onTransactionEvent: (event) => {
+          if (event.type === TRANSACTION_EVENTS.SUBMITTED) {
+            this.notify(options, { ...step, status: 'submitted', transactionHash: event.hash });
+          }
+          if (typeof onTransactionEvent === 'function') {
+            onTransactionEvent(event);
+          }
+        }
+      });
+    } else {
+      const tx = await contract[method](...args);
+      this.notify(options, { ...step, status: 'submitted', transactionHash: tx.hash });
+      receipt = await tx.wait();
+    }
+
+    this.notify(options, { ...step, status: 'confirmed', transactionHash: receipt.transactionHash });
+    return receipt;
+  }
+
+  /**
+   * Resolve the EIP-712 domain a token uses for permit, or null when the token
+   * has no permit support or its domain cannot be reproduced locally
+   */
+  async getPermitDomain(erc20, signer) {
+    let domainSeparator;
+    try {
+      domainSeparator = await erc20.DOMAIN_SEPARATOR();
+    } catch (error) {
+      return null;
+    }
+
+    const chainId = await signer.getChainId();
+    let name;
+    let version = '1';
+
+    try {
+      // EIP-5267 exposes the exact domain fields
+      const eip712Domain = await erc20.eip712Domain();
+      name = eip712Domain.name;
+      version = eip712Domain.version;
+    } catch (error) {
+      name = await erc20.name();
+    }
+
+    const domain = { name, version, chainId, verifyingContract: erc20.address };
+    if (ethers.utils._TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+      return null;
+    }
+    return domain;
+  }
+
+  /**
+   * Report an approval step to the caller's onApprovalStep callback
+   */
+  notify(callbacks, step) {
+    if (callbacks && typeof callbacks.onApprovalStep === 'function') {
+      callbacks.onApprovalStep(step);
+    }
+  }
+}
+
+export default ApprovalManager;
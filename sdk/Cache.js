@@ -0,0 +1,298 @@
+/**
+ * Block-aware read cache for MetaLend SDK view methods
+ * Keys results by call and block number, serves repeated `latest` reads from
+ * the newest cached block until a protocol event changes the underlying state,
+ * and counts hits and misses per method
+ */
+
+import { MemoryCursorStore } from './Events.js';
+import { InvalidParameterError } from './errors.js';
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Blocks below the head whose cached keys are remembered for reorgs
+const MAX_REORG_DEPTH = 128;
+
+// Protocol events and the cached view methods whose results they change
+export const DEFAULT_INVALIDATIONS = {
+  LoanCreated: ['getPoolInfo', 'getProtocolInfo', 'getUserLoans'],
+  LoanRepaid: ['getPoolInfo', 'getProtocolInfo', 'getUserLoans'],
+  LiquidityProvided: ['getPoolInfo', 'getProtocolInfo'],
+  LiquidityWithdrawn: ['getPoolInfo', 'getProtocolInfo'],
+  CollateralDeposited: ['getProtocolInfo', 'getUserCollaterals'],
+  CollateralWithdrawn: ['getProtocolInfo', 'getUserCollaterals'],
+  CollateralLiquidated: ['getProtocolInfo', 'getUserCollaterals'],
+  LiquidationCompleted: ['getPoolInfo', 'getProtocolInfo', 'getUserCollaterals', 'getUserLoans'],
+  AssetValuationUpdated: ['getProtocolInfo', 'getUserCollaterals']
+};
+
+/**
+ * Default cache store; keeps up to `maxEntries` results, least recently used first out
+ * Persistent stores implement the same async get(key) / set(key, value) pair
+ * and receive plain JSON-serializable values
+ */
+export class MemoryCacheStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return null;
+    }
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Cache key for a view call at a block
+ */
+export function cacheKey(method, args, blockNumber) {
+  return `${method}(${args.map((arg) => String(arg).toLowerCase()).join(',')})@${blockNumber}`;
+}
+
+class ReadCache {
+  /**
+   * `maxBlockAge` is how many blocks a `latest` read may lag the head while no
+   * invalidating event has arrived; 0 caches per block only. Events from the
+   * SDK's own writes always invalidate; other senders' events need watch().
+   */
+  constructor(sdk, { store = new MemoryCacheStore(), invalidations = DEFAULT_INVALIDATIONS, maxBlockAge = 0 } = {}) {
+    this.sdk = sdk;
+    this.store = store;
+    this.invalidations = invalidations;
+    this.maxBlockAge = maxBlockAge;
+
+    this.latest = new Map(); // call => { method, key, blockNumber, generation } of its newest `latest` read
+    this.generations = new Map(); // method => number of invalidations so far
+    this.blocks = new Map(); // block number => keys cached at that block
+    this.head = null;
+    this.headRequest = null;
+    this.watching = false;
+    this.subscriptions = [];
+    this.blockListener = (blockNumber) => {
+      this.head = Math.max(this.head || 0, blockNumber);
+    };
+    this.resetMetrics();
+  }
+
+  /**
+   * Return the cached result of `method(args)` or load it
+   * `loader(overrides)` must read at `overrides.blockTag`. A numeric
+   * `blockTag` reads that block and no `blockTag` the head block; other
+   * tags ('pending', hashes) are not cached.
+   */
+  async read(method, args, loader, overrides = {}) {
+    const { blockTag } = overrides;
+    if (typeof blockTag === 'number') {
+      return this.readAt(method, cacheKey(method, args, blockTag), blockTag, loader, overrides);
+    }
+    if (blockTag !== undefined && blockTag !== 'latest') {
+      return loader(overrides);
+    }
+
+    const call = cacheKey(method, args, 'latest');
+    const generation = this.generations.get(method) || 0;
+    const head = await this.headBlock();
+    const newest = this.latest.get(call);
+    if (newest && newest.generation === generation && head - newest.blockNumber <= this.maxBlockAge) {
+      const cached = await this.store.get(newest.key);
+      if (cached) {
+        this.record(method, true);
+        return cached.value;
+      }
+    }
+
+    const key = cacheKey(method, args, head);
+    const value = await this.readAt(method, key, head, loader, overrides);
+    // Tagged with the generation from before loading, so an event that
+    // arrived meanwhile leaves the pointer stale
+    const current = this.latest.get(call);
+    if (!current || head >= current.blockNumber) {
+      this.latest.set(call, { method, key, blockNumber: head, generation });
+    }
+    return value;
+  }
+
+  async readAt(method, key, blockNumber, loader, overrides) {
+    const cached = await this.store.get(key);
+    if (cached) {
+      this.record(method, true);
+      return cached.value;
+    }
+
+    this.record(method, false);
+    const value = await loader({ ...overrides, blockTag: blockNumber });
+    await this.store.set(key, { value, blockNumber });
+    this.indexKey(key, blockNumber);
+    return value;
+  }
+
+  /**
+   * Remember which keys were cached at a recent block, so a reorg can drop them
+   */
+  indexKey(key, blockNumber) {
+    const oldest = Math.max(this.head || 0, blockNumber) - MAX_REORG_DEPTH;
+    for (const cachedBlock of this.blocks.keys()) {
+      if (cachedBlock < oldest) {
+        this.blocks.delete(cachedBlock);
+      }
+    }
+    if (blockNumber < oldest) {
+      return;
+    }
+    if (!this.blocks.has(blockNumber)) {
+      this.blocks.set(blockNumber, new Set());
+    }
+    this.blocks.get(blockNumber).add(key);
+  }
+
+  /**
+   * Stop serving the methods an event affects from their last `latest` read
+   * A removed (reorged-out) event also drops every result this cache stored
+   * at or after its block, for any method and whether read as `latest` or
+   * with a numeric blockTag, since those block numbers now belong to other
+   * blocks
+   */
+  async invalidate(eventName, { blockNumber, removed = false } = {}) {
+    const methods = this.invalidations[eventName] || [];
+    if (blockNumber !== undefined && !removed) {
+      this.blockListener(blockNumber);
+    }
+
+    for (const method of methods) {
+      this.generations.set(method, (this.generations.get(method) || 0) + 1);
+      this.metrics.invalidations++;
+    }
+    if (removed && blockNumber !== undefined) {
+      await this.dropFrom(blockNumber);
+    }
+    return methods;
+  }
+
+  async dropFrom(blockNumber) {
+    for (const [cachedBlock, keys] of this.blocks) {
+      if (cachedBlock >= blockNumber) {
+        for (const key of keys) {
+          await this.store.set(key, null);
+        }
+        this.blocks.delete(cachedBlock);
+      }
+    }
+    for (const [call, newest] of this.latest) {
+      if (newest.blockNumber >= blockNumber) {
+        this.latest.delete(call);
+      }
+    }
+  }
+
+  /**
+   * Invalidate from the decoded events of a write mined in `blockNumber`
+   */
+  async invalidateEvents(events, blockNumber) {
+    for (const event of events || []) {
+      await this.invalidate(event.name, { blockNumber });
+    }
+  }
+
+  /**
+   * Follow new blocks and the invalidating events of every sender
+   * Events no configured contract emits are skipped
+   */
+  async watch() {
+    if (this.watching) {
+      return this;
+    }
+
+    this.watching = true;
+    this.sdk.provider.on('block', this.blockListener);
+    const cursorStore = new MemoryCursorStore();
+    for (const eventName of Object.keys(this.invalidations)) {
+      try {
+        this.subscriptions.push(await this.sdk.on(eventName, {}, (event) => this.invalidate(event.name, event), {
+          confirmations: 0,
+          cursorKey: `cache:${eventName}`,
+          cursorStore
+        }));
+      } catch (error) {
+        if (!(error instanceof InvalidParameterError)) {
+          this.unwatch();
+          throw error;
+        }
+      }
+    }
+    return this;
+  }
+
+  unwatch() {
+    this.watching = false;
+    this.sdk.provider.off('block', this.blockListener);
+    for (const subscription of this.subscriptions) {
+      this.sdk.off(subscription);
+    }
+    this.subscriptions = [];
+  }
+
+  /**
+   * Hits, misses and hit rate, in total and per method
+   */
+  getMetrics() {
+    const rate = ({ hits, misses }) => (hits + misses === 0 ? 0 : hits / (hits + misses));
+    const methods = {};
+    for (const [method, counts] of Object.entries(this.metrics.methods)) {
+      methods[method] = { ...counts, hitRate: rate(counts) };
+    }
+    return {
+      hits: this.metrics.hits,
+      misses: this.metrics.misses,
+      hitRate: rate(this.metrics),
+      invalidations: this.metrics.invalidations,
+      methods
+    };
+  }
+
+  resetMetrics() {
+    this.metrics = { hits: 0, misses: 0, invalidations: 0, methods: {} };
+  }
+
+  record(method, hit) {
+    if (!this.metrics.methods[method]) {
+      this.metrics.methods[method] = { hits: 0, misses: 0 };
+    }
+    const field = hit ? 'hits' : 'misses';
+    this.metrics[field]++;
+    this.metrics.methods[method][field]++;
+  }
+
+  /**
+   * Head block from block notifications while watching, otherwise one
+   * getBlockNumber shared by concurrent reads
+   */
+  async headBlock() {
+    if (this.watching && this.head !== null) {
+      return this.head;
+    }
+    if (!this.headRequest) {
+      this.headRequest = this.sdk.provider.getBlockNumber().finally(() => {
+        this.headRequest = null;
+      });
+    }
+    const blockNumber = await this.headRequest;
+    this.blockListener(blockNumber);
+    return blockNumber;
+  }
+}
+
+export default ReadCache;
@@ -0,0 +1,150 @@
+/**
+ * EnhancedCollateralManager support for the MetaLend SDK
+ * Detects which collateral manager a deployment uses and, for the enhanced
+ * one, exposes virtual-asset deposits, per-type listings and revaluation
+ */
+
+import { ethers } from 'ethers';
+import { ASSET_TYPES, assetTypeName, toAssetType } from './VirtualAssets.js';
+import { InvalidParameterError, NotFoundError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+export const COLLATERAL_MANAGER_TYPES = {
+  BASIC: 'basic',
+  ENHANCED: 'enhanced'
+};
+
+// Asset types EnhancedCollateralManager transfers as ERC1155; the rest are ERC721
+const ERC1155_ASSET_TYPES = [ASSET_TYPES.GAMING_ASSET, ASSET_TYPES.VIRTUAL_CURRENCY];
+
+const PROBE_ABI = ['function virtualAssetManager() view returns (address)'];
+
+/**
+ * Whether the collateral manager at `address` is an EnhancedCollateralManager
+ * The basic CollateralManager has no virtualAssetManager() getter and no
+ * fallback, so the probe call reverts there
+ */
+export async function detectCollateralManagerType(provider, address) {
+  const probe = new ethers.Contract(address, PROBE_ABI, provider);
+  try {
+    const virtualAssetManager = await probe.virtualAssetManager();
+    return virtualAssetManager === ethers.constants.AddressZero
+      ? COLLATERAL_MANAGER_TYPES.BASIC
+      : COLLATERAL_MANAGER_TYPES.ENHANCED;
+  } catch (error) {
+    if (error.code === ethers.errors.CALL_EXCEPTION) {
+      return COLLATERAL_MANAGER_TYPES.BASIC;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Token standard EnhancedCollateralManager uses to move an asset of `assetType`
+ */
+export function collateralTokenStandard(assetType) {
+  return ERC1155_ASSET_TYPES.includes(toAssetType(assetType)) ? 'erc1155' : 'erc721';
+}
+
+/**
+ * Format an EnhancedCollateralInfo struct; `nftContract`/`tokenId` match getUserCollaterals
+ */
+export function formatEnhancedCollateral(collateralId, info) {
+  return {
+    id: collateralId.toString(),
+    nftContract: info.assetContract,
+    tokenId: info.assetId.toString(),
+    collateralValue: info.collateralValue.toString(),
+    liquidationThreshold: info.liquidationThreshold.toString(),
+    isActive: info.isActive,
+    timestamp: info.timestamp.toString(),
+    assetType: Number(info.assetType),
+    assetTypeName: assetTypeName(info.assetType),
+    virtualAssetId: info.virtualAssetId.toString(),
+    rarityScore: info.rarityScore.toString(),
+    utilityScore: info.utilityScore.toString()
+  };
+}
+
+class EnhancedCollateralModule extends SdkModule {
+  /**
+   * Only created when the deployment's collateral manager is enhanced
+   */
+  constructor(sdk) {
+    super(sdk, 'collateralManager');
+  }
+
+  /**
+   * Register the asset with the VirtualAssetManager if needed and deposit it
+   * as collateral directly with the collateral manager
+   * With `ensureApprovals` the asset is approved to the collateral manager
+   * first (setApprovalForAll for ERC1155 gaming assets and virtual currency)
+   */
+  async depositVirtualAssetCollateral(assetContract, assetId, assetType, metadata, loanAmount, signer, options = {}) {
+    const type = toAssetType(assetType);
+    if (ethers.BigNumber.from(loanAmount).isZero()) {
+      throw new InvalidParameterError('Invalid loan amount');
+    }
+
+    return this.write(
+      'deposit virtual asset collateral',
+      'depositVirtualAssetCollateral',
+      [assetContract, assetId, type, metadata, loanAmount],
+      signer,
+      options,
+      async () => [collateralTokenStandard(type) === 'erc1155'
+        ? { type: 'erc1155', token: assetContract, spender: this.contract.address }
+        : { type: 'erc721', token: assetContract, tokenId: assetId, spender: this.contract.address }]
+    );
+  }
+
+  /**
+   * Collateral with its asset type, virtual asset id and scores
+   */
+  async getEnhancedCollateralInfo(collateralId) {
+    return this.read('get enhanced collateral info', 'getEnhancedCollateralInfo', [collateralId], async () => {
+      const info = await this.contract.getEnhancedCollateralInfo(collateralId);
+      if (info.assetContract === ethers.constants.AddressZero) {
+        throw new NotFoundError(`Collateral ${collateralId} does not exist`);
+      }
+      return formatEnhancedCollateral(collateralId, info);
+    });
+  }
+
+  /**
+   * Active collateral of one asset type; ids only unless `withInfo` is set
+   */
+  async getCollateralsByAssetType(assetType, { withInfo = false } = {}) {
+    const type = toAssetType(assetType);
+    return this.read('get collaterals by asset type', 'getCollateralsByAssetType', [type], async () => {
+      const collateralIds = await this.contract.getCollateralsByAssetType(type);
+      if (!withInfo) {
+        return collateralIds.map((collateralId) => collateralId.toString());
+      }
+
+      const infos = await this.sdk.multicall.all(collateralIds.map((collateralId) => ({
+        contract: this.contract,
+        method: 'getEnhancedCollateralInfo',
+        args: [collateralId]
+      })));
+      return collateralIds.map((collateralId, index) => formatEnhancedCollateral(collateralId, infos[index]));
+    });
+  }
+
+  /**
+   * Revalue a collateral through the VirtualAssetManager
+   * The manager calls updateAssetValuation, so it must be the VirtualAssetManager oracle
+   */
+  async updateCollateralValuation(collateralId, signer, options = {}) {
+    return this.write('update collateral valuation', 'updateCollateralValuation', [collateralId], signer, options);
+  }
+
+  /**
+   * Revalue several collaterals in one transaction
+   */
+  async batchUpdateValuations(collateralIds, signer, options = {}) {
+    return this.write('batch update collateral valuations', 'batchUpdateValuations', [collateralIds], signer, options);
+  }
+}
+
+export default EnhancedCollateralModule;
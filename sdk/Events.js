@@ -0,0 +1,367 @@
+/**
+ * Protocol event subscriptions for the MetaLend SDK
+ * Polls logs block by block so delivery can wait for confirmations, retract
+ * logs dropped by a reorg and resume from a persisted block cursor
+ */
+
+import { mapWithConcurrency } from './Multicall.js';
+
+const DEFAULT_CONFIRMATIONS = 0;
+const DEFAULT_REORG_WINDOW = 12;
+const DEFAULT_MAX_BLOCK_RANGE = 2000;
+const BLOCK_FETCH_CONCURRENCY = 4;
+
+/**
+ * Default cursor store; keeps cursors for the lifetime of the process
+ * Persistent stores implement the same async get(key) / set(key, cursor) pair
+ */
+export class MemoryCursorStore {
+  constructor() {
+    this.cursors = new Map();
+  }
+
+  async get(key) {
+    return this.cursors.get(key) || null;
+  }
+
+  async set(key, cursor) {
+    this.cursors.set(key, cursor);
+  }
+}
+
+/**
+ * A single event subscription
+ * Handlers receive decoded events with `removed: false`, and the same event
+ * again with `removed: true` if a reorg drops the block it was mined in.
+ * Delivery is at-least-once: a range is replayed if the handler throws.
+ */
+export class EventSubscription {
+  constructor(provider, {
+    eventName,
+    sources,
+    filter = {},
+    handler,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    reorgWindow = DEFAULT_REORG_WINDOW,
+    maxBlockRange = DEFAULT_MAX_BLOCK_RANGE,
+    fromBlock,
+    cursorKey,
+    cursorStore,
+    onError
+  }) {
+    this.provider = provider;
+    this.eventName = eventName;
+    this.sources = sources;
+    this.filter = filter;
+    this.handler = handler;
+    this.confirmations = confirmations;
+    this.reorgWindow = Math.max(reorgWindow, confirmations + 1);
+    this.maxBlockRange = maxBlockRange;
+    this.fromBlock = fromBlock;
+    this.cursorKey = cursorKey;
+    this.cursorStore = cursorStore;
+    this.onError = onError || ((error) => console.error(`MetaLend ${eventName} subscription error:`, error));
+
+    this.cursor = null; // last block whose logs have been delivered
+    this.blockHashes = new Map(); // blockNumber => hash, for blocks inside the reorg window
+    this.delivered = new Map(); // blockNumber => events delivered from that block
+    this.active = false;
+    this.running = false;
+    this.pending = false;
+    this.listener = () => this.schedule();
+  }
+
+  /**
+   * Restore the cursor and start following new blocks
+   */
+  async start() {
+    const saved = await this.cursorStore.get(this.cursorKey);
+
+    if (saved) {
+      this.cursor = saved.blockNumber;
+      if (saved.blockHash) {
+        const block = await this.provider.getBlock(saved.blockNumber);
+        if (!block || block.hash !== saved.blockHash) {
+          // The cursor block was reorged out while we were offline; replay the window
+          this.cursor = Math.max(saved.blockNumber - this.reorgWindow, -1);
+        } else {
+          this.blockHashes.set(saved.blockNumber, saved.blockHash);
+        }
+      }
+    } else if (this.fromBlock !== undefined) {
+      this.cursor = this.fromBlock - 1;
+    } else {
+      this.cursor = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+
+    this.active = true;
+    this.provider.on('block', this.listener);
+    this.schedule();
+    return this;
+  }
+
+  /**
+   * Stop following new blocks; the persisted cursor is kept for a later resume
+   */
+  stop() {
+    this.active = false;
+    this.provider.off('block', this.listener);
+  }
+
+  /**
+   * Run a poll, coalescing block notifications that arrive while one is running
+   */
+  schedule() {
+    if (!this.active) {
+      return;
+    }
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+
+    this.running = true;
+    this.poll()
+      .catch((error) => this.onError(error))
+      .finally(() => {
+        this.running = false;
+        if (this.pending) {
+          this.pending = false;
+          this.schedule();
+        }
+      });
+  }
+
+  /**
+   * Retract reorged logs, then deliver everything up to the confirmed head
+   */
+  async poll() {
+    await this.detectReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const confirmedBlock = head - this.confirmations;
+
+    while (this.active && this.cursor < confirmedBlock) {
+      const fromBlock = this.cursor + 1;
+      const toBlock = Math.min(confirmedBlock, fromBlock + this.maxBlockRange - 1);
+
+      if (!(await this.processRange(fromBlock, toBlock))) {
+        // The chain changed while the range was being read; retry on the next block
+        return;
+      }
+    }
+  }
+
+  /**
+   * Compare tracked block hashes with the chain and roll back to the fork point
+   */
+  async detectReorg() {
+    const tracked = [...this.blockHashes.keys()].sort((a, b) => b - a);
+    let forkPoint = null;
+
+    for (const blockNumber of tracked) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block && block.hash === this.blockHashes.get(blockNumber)) {
+        break;
+      }
+      forkPoint = blockNumber;
+    }
+
+    if (forkPoint === null) {
+      return;
+    }
+
+    for (const blockNumber of tracked) {
+      if (blockNumber < forkPoint) {
+        break;
+      }
+      const events = this.delivered.get(blockNumber) || [];
+      for (const event of [...events].reverse()) {
+        await this.handler({ ...event, removed: true });
+      }
+      this.delivered.delete(blockNumber);
+      this.blockHashes.delete(blockNumber);
+    }
+
+    this.cursor = Math.min(this.cursor, forkPoint - 1);
+    await this.saveCursor();
+  }
+
+  /**
+   * Fetch, decode and deliver the logs in [fromBlock, toBlock]
+   * Returns false without delivering if the logs and block hashes disagree
+   */
+  async processRange(fromBlock, toBlock) {
+    const logs = [];
+    for (const source of this.sources) {
+      const sourceLogs = await this.provider.getLogs({
+        address: source.contract.address,
+        topics: source.topics,
+        fromBlock,
+        toBlock
+      });
+      logs.push(...sourceLogs.map((log) => ({ log, source })));
+    }
+
+    // Only blocks that can still be reorged need their hashes tracked
+    const hashes = new Map();
+    for (let blockNumber = Math.max(fromBlock, toBlock - this.reorgWindow + 1); blockNumber <= toBlock; blockNumber++) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) {
+        return false;
+      }
+      hashes.set(blockNumber, block.hash);
+    }
+
+    if (logs.some(({ log }) => hashes.has(log.blockNumber) && hashes.get(log.blockNumber) !== log.blockHash)) {
+      return false;
+    }
+
+    logs.sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex);
+
+    for (const { log, source } of logs) {
+      const event = this.decode(log, source);
+      if (!event || !this.matches(event, source)) {
+        continue;
+      }
+
+      await this.handler(event);
+
+      if (hashes.has(log.blockNumber)) {
+        if (!this.delivered.has(log.blockNumber)) {
+          this.delivered.set(log.blockNumber, []);
+        }
+        this.delivered.get(log.blockNumber).push(event);
+      }
+    }
+
+    for (const [blockNumber, hash] of hashes) {
+      this.blockHashes.set(blockNumber, hash);
+    }
+    this.prune(toBlock);
+
+    this.cursor = toBlock;
+    await this.saveCursor();
+    return true;
+  }
+
+  /**
+   * Decode a raw log into the SDK event format
+   */
+  decode(log, source) {
+    try {
+      const parsed = source.contract.interface.parseLog(log);
+      return {
+        name: parsed.name,
+        contract: source.contractName,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        removed: false
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Apply filter keys on non-indexed arguments, which topics cannot express
+   */
+  matches(event, source) {
+    return source.fragment.inputs
+      .filter((input) => !input.indexed && this.filter[input.name] !== undefined)
+      .every((input) => {
+        const expected = [].concat(this.filter[input.name]).map((value) => String(value).toLowerCase());
+        return expected.includes(String(event.args[input.name]).toLowerCase());
+      });
+  }
+
+  /**
+   * Forget blocks that have fallen out of the reorg window
+   */
+  prune(latestBlock) {
+    for (const blockNumber of this.blockHashes.keys()) {
+      if (blockNumber <= latestBlock - this.reorgWindow) {
+        this.blockHashes.delete(blockNumber);
+        this.delivered.delete(blockNumber);
+      }
+    }
+  }
+
+  async saveCursor() {
+    await this.cursorStore.set(this.cursorKey, {
+      blockNumber: this.cursor,
+      blockHash: this.blockHashes.get(this.cursor) || null
+    });
+  }
+}
+
+/**
+ * Find every protocol contract that declares `eventName` and build its log filter
+ * Indexed filter keys become topics; the rest are matched after decoding
+ */
+export function resolveEventSources(contracts, eventName, filter = {}) {
+  const sources = [];
+
+  for (const [contractName, contract] of Object.entries(contracts)) {
+    const fragments = Object.values(contract.interface.events)
+      .filter((fragment) => fragment.name === eventName);
+
+    for (const fragment of fragments) {
+      const values = fragment.inputs.map((input) => (
+        input.indexed && filter[input.name] !== undefined ? filter[input.name] : null
+      ));
+      sources.push({
+        contractName,
+        contract,
+        fragment,
+        topics: contract.interface.encodeFilterTopics(fragment, values)
+      });
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Fetch historical events for `filter` between two blocks
+ * Ranges the node refuses (too many results or blocks) are split in half and
+ * retried; `maxBlockRange` chunks the query up front
+ */
+export async function queryEventHistory(contract, filter, { fromBlock = 0, toBlock = 'latest', maxBlockRange } = {}) {
+  const lastBlock = typeof toBlock === 'number' ? toBlock : await contract.provider.getBlockNumber();
+  const events = [];
+
+  const step = maxBlockRange || lastBlock - fromBlock + 1;
+  for (let start = fromBlock; start <= lastBlock; start += step) {
+    events.push(...await queryRange(contract, filter, start, Math.min(lastBlock, start + step - 1)));
+  }
+
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+async function queryRange(contract, filter, fromBlock, toBlock) {
+  try {
+    return await contract.queryFilter(filter, fromBlock, toBlock);
+  } catch (error) {
+    if (fromBlock >= toBlock) {
+      throw error;
+    }
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    return [
+      ...await queryRange(contract, filter, fromBlock, middle),
+      ...await queryRange(contract, filter, middle + 1, toBlock)
+    ];
+  }
+}
+
+/**
+ * Look up the timestamps of a set of blocks, fetching each block once
+ */
+export async function getBlockTimestamps(provider, blockNumbers) {
+  const unique = [...new Set(blockNumbers)];
+  const blocks = await mapWithConcurrency(unique, BLOCK_FETCH_CONCURRENCY, (blockNumber) => provider.getBlock(blockNumber));
+  return new Map(unique.map((blockNumber, index) => [blockNumber, blocks[index].timestamp]));
+}
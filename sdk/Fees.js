@@ -0,0 +1,357 @@
+/**
+ * EIP-1559 fee strategies and stuck-transaction handling for MetaLend SDK writes
+ * Prices each transaction from a fixed, percentile-of-recent-blocks or
+ * aggressive strategy and, when it is not mined in time, replaces it with a
+ * higher-fee copy or a zero-value self-transfer on the same nonce. Chains
+ * without EIP-1559 are priced with a legacy gasPrice instead.
+ */
+
+import { ethers } from 'ethers';
+import { InvalidParameterError, TransactionTimeoutError } from './errors.js';
+
+const DEFAULT_TIMEOUT = 3 * 60 * 1000; // 3 minutes
+const DEFAULT_POLL_INTERVAL = 4000;
+const DEFAULT_MAX_REPLACEMENTS = 3;
+
+// Nodes reject same-nonce replacements that raise fees by less than 10%
+const DEFAULT_BUMP_PERCENT = 15;
+
+const FEE_HISTORY_BLOCKS = 10;
+
+export const FEE_STRATEGIES = {
+  FIXED: 'fixed',
+  PERCENTILE: 'percentile',
+  AGGRESSIVE: 'aggressive'
+};
+
+export const TIMEOUT_ACTIONS = {
+  SPEED_UP: 'speedUp',
+  CANCEL: 'cancel'
+};
+
+export const TRANSACTION_EVENTS = {
+  SUBMITTED: 'submitted',
+  REPLACED: 'replaced',
+  MINED: 'mined',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+const STRATEGY_DEFAULTS = {
+  [FEE_STRATEGIES.PERCENTILE]: { percentile: 50, baseFeeMultiplier: 2 },
+  [FEE_STRATEGIES.AGGRESSIVE]: { percentile: 90, baseFeeMultiplier: 3 }
+};
+
+/**
+ * Whether `fees` is a legacy { gasPrice } rather than EIP-1559 fees
+ */
+export function isLegacyFees(fees) {
+  return fees.maxFeePerGas === undefined || fees.maxFeePerGas === null;
+}
+
+// Price fields of a fee object; the first is the one maxFeeCap applies to
+function feeFields(fees) {
+  return isLegacyFees(fees) ? ['gasPrice'] : ['maxFeePerGas', 'maxPriorityFeePerGas'];
+}
+
+/**
+ * Raise both EIP-1559 fees, or the legacy gasPrice, by `percent`, rounding up
+ */
+export function bumpFees(fees, percent = DEFAULT_BUMP_PERCENT) {
+  const bumped = {};
+  for (const field of feeFields(fees)) {
+    const amount = ethers.BigNumber.from(fees[field]);
+    bumped[field] = amount.add(amount.mul(percent).add(99).div(100));
+  }
+  return bumped;
+}
+
+/**
+ * Fees from eth_feeHistory: the `percentile` priority fee over recent blocks,
+ * plus the next block's base fee times `baseFeeMultiplier`
+ */
+export function feesFromHistory(history, baseFeeMultiplier) {
+  const rewards = (history.reward || [])
+    .map(([reward]) => ethers.BigNumber.from(reward))
+    .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+  const maxPriorityFeePerGas = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : ethers.constants.Zero;
+  const baseFees = history.baseFeePerGas;
+  const nextBaseFee = ethers.BigNumber.from(baseFees[baseFees.length - 1]);
+
+  return {
+    maxFeePerGas: nextBaseFee.mul(baseFeeMultiplier).add(maxPriorityFeePerGas),
+    maxPriorityFeePerGas
+  };
+}
+
+/**
+ * Build a fee strategy from a name or config
+ * 'fixed' takes { maxFeePerGas, maxPriorityFeePerGas }, or { gasPrice } for
+ * chains without EIP-1559; 'percentile' takes
+ * { percentile, baseFeeMultiplier, blocks }; 'aggressive' is percentile with
+ * the 90th percentile and three times the base fee. A function (provider) =>
+ * fees is used as is.
+ */
+export function createFeeStrategy(strategy = FEE_STRATEGIES.PERCENTILE) {
+  if (typeof strategy === 'function') {
+    return strategy;
+  }
+
+  const config = typeof strategy === 'string' ? { type: strategy } : strategy;
+  if (config.type === FEE_STRATEGIES.FIXED) {
+    const fees = {};
+    for (const field of feeFields(config)) {
+      fees[field] = ethers.BigNumber.from(config[field]);
+    }
+    return async () => fees;
+  }
+
+  if (!STRATEGY_DEFAULTS[config.type]) {
+    throw new InvalidParameterError(`Unknown fee strategy: ${config.type}`);
+  }
+  const { percentile, baseFeeMultiplier, blocks = FEE_HISTORY_BLOCKS } = { ...STRATEGY_DEFAULTS[config.type], ...config };
+
+  return async (provider) => {
+    try {
+      const history = await provider.send('eth_feeHistory', [ethers.utils.hexValue(blocks), 'latest', [percentile]]);
+      return feesFromHistory(history, baseFeeMultiplier);
+    } catch (error) {
+      // Providers without eth_feeHistory: fall back to ethers' own estimate,
+      // which has no EIP-1559 fees on chains without a base fee
+      const feeData = await provider.getFeeData();
+      if (isLegacyFees(feeData)) {
+        return { gasPrice: feeData.gasPrice };
+      }
+      return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class FeeManager {
+  /**
+   * `strategy` prices transactions (see createFeeStrategy); after `timeout` ms
+   * without a receipt the transaction is replaced per `onTimeout`, at most
+   * `maxReplacements` times, never above `maxFeeCap` when one is set. A cancel
+   * that is itself stuck is replaced by a higher-fee cancel.
+   */
+  constructor(provider, {
+    strategy = FEE_STRATEGIES.PERCENTILE,
+    timeout = DEFAULT_TIMEOUT,
+    onTimeout = TIMEOUT_ACTIONS.SPEED_UP,
+    maxReplacements = DEFAULT_MAX_REPLACEMENTS,
+    bumpPercent = DEFAULT_BUMP_PERCENT,
+    maxFeeCap = null,
+    confirmations = 1,
+    pollInterval = DEFAULT_POLL_INTERVAL
+  } = {}) {
+    this.provider = provider;
+    this.config = { strategy, timeout, onTimeout, maxReplacements, bumpPercent, maxFeeCap, confirmations, pollInterval };
+    this.getFees = createFeeStrategy(strategy);
+  }
+
+  /**
+   * A manager with some settings overridden, e.g. per call
+   */
+  with(overrides = {}) {
+    return new FeeManager(this.provider, { ...this.config, ...overrides });
+  }
+
+  /**
+   * Current fees from the strategy, capped at `maxFeeCap`
+   */
+  async estimateFees() {
+    return this.cap(await this.getFees(this.provider));
+  }
+
+  /**
+   * Send a populated transaction and wait for its receipt, replacing it when
+   * it is stuck. `onTransactionEvent` receives every lifecycle step:
+   * submitted, replaced, mined, confirmed and failed.
+   * Resolves with the receipt of whichever copy was mined; a revert rejects
+   * with the ethers CALL_EXCEPTION error, and a cancelled or abandoned
+   * transaction with TransactionTimeoutError.
+   */
+  async send(signer, transaction, { onTransactionEvent } = {}) {
+    const { timeout, onTimeout, maxReplacements, confirmations } = this.config;
+    const notify = (event) => {
+      if (typeof onTransactionEvent === 'function') {
+        onTransactionEvent(event);
+      }
+    };
+
+    let fees = await this.estimateFees();
+    const original = await signer.sendTransaction({ ...transaction, ...fees, type: this.transactionType(fees) });
+    const request = { ...transaction, nonce: original.nonce, gasLimit: original.gasLimit };
+    const sent = [{ response: original, cancel: false }];
+    let timeouts = 0;
+    notify({ type: TRANSACTION_EVENTS.SUBMITTED, hash: original.hash, nonce: original.nonce, ...this.formatFees(fees) });
+
+    for (;;) {
+      let mined;
+      try {
+        mined = await this.waitForAny(sent, Date.now() + timeout);
+      } catch (error) {
+        notify({ type: TRANSACTION_EVENTS.FAILED, hash: original.hash, nonce: original.nonce, error });
+        throw error;
+      }
+      if (mined) {
+        return this.settle(mined, original, confirmations, notify);
+      }
+
+      timeouts++;
+      if (timeouts > maxReplacements) {
+        const error = new TransactionTimeoutError(`Transaction ${original.hash} was not mined after ${sent.length} attempt(s)`, {
+          context: { transactionHash: original.hash, nonce: original.nonce, hashes: sent.map(({ response }) => response.hash) }
+        });
+        notify({ type: TRANSACTION_EVENTS.FAILED, hash: original.hash, nonce: original.nonce, error });
+        throw error;
+      }
+
+      const cancel = onTimeout === TIMEOUT_ACTIONS.CANCEL;
+      const replacementFees = await this.replacementFees(fees);
+      if (!replacementFees) {
+        // Already at maxFeeCap: keep waiting for what was sent
+        continue;
+      }
+
+      const from = await signer.getAddress();
+      const replacement = cancel
+        ? { to: from, value: 0, data: '0x', nonce: original.nonce, gasLimit: 21000 }
+        : request;
+      try {
+        const response = await signer.sendTransaction({ ...replacement, ...replacementFees, type: this.transactionType(replacementFees) });
+        fees = replacementFees;
+        sent.push({ response, cancel });
+        notify({
+          type: TRANSACTION_EVENTS.REPLACED,
+          hash: response.hash,
+          replaces: sent[sent.length - 2].response.hash,
+          nonce: original.nonce,
+          cancel,
+          ...this.formatFees(replacementFees)
+        });
+      } catch (error) {
+        // The nonce was used while replacing (one of ours was mined) or the
+        // bump was rejected; either way the next poll decides
+        if (error.code !== ethers.errors.NONCE_EXPIRED && error.code !== ethers.errors.REPLACEMENT_UNDERPRICED) {
+          notify({ type: TRANSACTION_EVENTS.FAILED, hash: original.hash, nonce: original.nonce, error });
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Poll for a receipt of any sent copy until `deadline`
+   * When the nonce is used by a transaction that is not ours, fails at once
+   */
+  async waitForAny(sent, deadline) {
+    const { nonce, from } = sent[0].response;
+    for (;;) {
+      for (const attempt of sent) {
+        const receipt = await this.provider.getTransactionReceipt(attempt.response.hash);
+        if (receipt) {
+          return { ...attempt, receipt };
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        const count = await this.provider.getTransactionCount(from, 'latest');
+        if (count <= nonce) {
+          return null;
+        }
+        // Mined between the receipt checks and the nonce read, or used elsewhere
+        for (const attempt of sent) {
+          const receipt = await this.provider.getTransactionReceipt(attempt.response.hash);
+          if (receipt) {
+            return { ...attempt, receipt };
+          }
+        }
+        throw new TransactionTimeoutError(`Nonce ${nonce} was used by a transaction the SDK did not send`, {
+          context: { transactionHash: sent[0].response.hash, nonce }
+        });
+      }
+      await sleep(Math.min(this.config.pollInterval, Math.max(deadline - Date.now(), 0)));
+    }
+  }
+
+  /**
+   * Report the mined copy, wait for confirmations and surface reverts and cancellations
+   */
+  async settle({ response, receipt, cancel }, original, confirmations, notify) {
+    const event = { hash: response.hash, nonce: original.nonce, blockNumber: receipt.blockNumber, receipt };
+    notify({ type: TRANSACTION_EVENTS.MINED, ...event });
+
+    let confirmed = receipt;
+    try {
+      // wait() also resolves the nonce manager's status when one is in use
+      confirmed = await response.wait(confirmations);
+    } catch (error) {
+      notify({ type: TRANSACTION_EVENTS.FAILED, ...event, error });
+      throw error;
+    }
+    notify({ type: TRANSACTION_EVENTS.CONFIRMED, ...event, receipt: confirmed, confirmations });
+
+    if (cancel) {
+      const error = new TransactionTimeoutError(`Transaction ${original.hash} timed out and was cancelled`, {
+        context: { transactionHash: original.hash, nonce: original.nonce, cancelledBy: response.hash }
+      });
+      notify({ type: TRANSACTION_EVENTS.FAILED, ...event, error });
+      throw error;
+    }
+    return confirmed;
+  }
+
+  /**
+   * The higher of the bumped previous fees and the strategy's current fees,
+   * or null when the cap leaves no room for a valid replacement
+   */
+  async replacementFees(previous) {
+    const bumped = bumpFees(previous, this.config.bumpPercent);
+    const current = await this.getFees(this.provider);
+    const fees = {};
+    for (const field of feeFields(bumped)) {
+      fees[field] = current[field] && current[field].gt(bumped[field]) ? current[field] : bumped[field];
+    }
+    const capped = this.cap(fees);
+    const [price] = feeFields(bumped);
+    return capped[price].lt(bumped[price]) ? null : capped;
+  }
+
+  /**
+   * Limit maxFeePerGas, or the legacy gasPrice, to `maxFeeCap`
+   */
+  cap(fees) {
+    const { maxFeeCap } = this.config;
+    const [price] = feeFields(fees);
+    if (!maxFeeCap || fees[price].lte(maxFeeCap)) {
+      return fees;
+    }
+    const limit = ethers.BigNumber.from(maxFeeCap);
+    if (isLegacyFees(fees)) {
+      return { gasPrice: limit };
+    }
+    return {
+      maxFeePerGas: limit,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas.gt(limit) ? limit : fees.maxPriorityFeePerGas
+    };
+  }
+
+  transactionType(fees) {
+    return isLegacyFees(fees) ? 0 : 2;
+  }
+
+  formatFees(fees) {
+    const formatted = {};
+    for (const field of feeFields(fees)) {
+      formatted[field] = fees[field].toString();
+    }
+    return formatted;
+  }
+}
+
+export default FeeManager;
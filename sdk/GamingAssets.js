@@ -0,0 +1,287 @@
+/**
+ * GamingAssets (ERC1155) module for the MetaLend SDK
+ * Reads game assets with their category names, shows how an upgrade or repair
+ * changes durability, power and value, and rebuilds a player's inventory from
+ * playerAssets and ERC1155 transfer events
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { queryEventHistory } from './Events.js';
+import { InvalidParameterError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+// GamingAssets.AssetCategory, in enum order
+export const GAME_ASSET_CATEGORIES = [
+  'WEAPON',
+  'ARMOR',
+  'ACCESSORY',
+  'CONSUMABLE',
+  'CURRENCY',
+  'LAND',
+  'BUILDING',
+  'VEHICLE',
+  'PET',
+  'SKIN'
+];
+
+// calculateAssetValue scales rarity (1-100) to a 1x-10x multiplier over this base
+const RARITY_PRECISION = 100000;
+
+/**
+ * Accept an AssetCategory name or number and return the number
+ */
+export function toAssetCategory(category) {
+  const index = typeof category === 'string' && GAME_ASSET_CATEGORIES.includes(category)
+    ? GAME_ASSET_CATEGORIES.indexOf(category)
+    : Number(category);
+  if (!GAME_ASSET_CATEGORIES[index]) {
+    throw new InvalidParameterError(`Unknown asset category: ${category}`);
+  }
+  return index;
+}
+
+/**
+ * Value of a game asset, as GamingAssets.calculateAssetValue computes it
+ */
+export function calculateGameAssetValue({ powerLevel, rarity, durability, maxDurability }, categoryMultiplier) {
+  const baseValue = ethers.BigNumber.from(powerLevel).mul(ethers.constants.WeiPerEther);
+  const rarityMultiplier = ethers.BigNumber.from(rarity).mul(RARITY_PRECISION).div(100);
+  const value = baseValue.mul(rarityMultiplier).mul(categoryMultiplier).div(RARITY_PRECISION * PRECISION);
+  const durabilityFactor = ethers.BigNumber.from(durability).mul(PRECISION).div(maxDurability);
+  return value.mul(durabilityFactor).div(PRECISION);
+}
+
+/**
+ * Stats after upgradeAsset: power is added and durability is reset to the raised maximum
+ */
+export function projectUpgrade(asset, powerIncrease, durabilityIncrease) {
+  const maxDurability = ethers.BigNumber.from(asset.maxDurability).add(durabilityIncrease);
+  return {
+    powerLevel: ethers.BigNumber.from(asset.powerLevel).add(powerIncrease).toString(),
+    durability: maxDurability.toString(),
+    maxDurability: maxDurability.toString()
+  };
+}
+
+/**
+ * Stats after repairAsset: durability is restored to its maximum
+ */
+export function projectRepair(asset) {
+  return {
+    powerLevel: asset.powerLevel.toString(),
+    durability: asset.maxDurability.toString(),
+    maxDurability: asset.maxDurability.toString()
+  };
+}
+
+/**
+ * Format a GameAsset struct with its category name
+ */
+export function formatGameAsset(asset) {
+  return {
+    assetId: asset.assetId.toString(),
+    name: asset.name,
+    description: asset.description,
+    category: Number(asset.category),
+    categoryName: GAME_ASSET_CATEGORIES[asset.category],
+    rarity: asset.rarity.toString(),
+    powerLevel: asset.powerLevel.toString(),
+    durability: asset.durability.toString(),
+    maxDurability: asset.maxDurability.toString(),
+    isTradeable: asset.isTradeable,
+    isUpgradeable: asset.isUpgradeable,
+    mintTimestamp: asset.mintTimestamp.toString(),
+    gameMetadata: asset.gameMetadata
+  };
+}
+
+function stats(asset) {
+  return {
+    powerLevel: asset.powerLevel,
+    durability: asset.durability,
+    maxDurability: asset.maxDurability,
+    value: asset.value
+  };
+}
+
+/**
+ * Works with the GamingAssets collection under `contractName` in sdk.contracts;
+ * use sdk.getGamingAssets(address) to work with another collection
+ */
+class GamingAssetsModule extends SdkModule {
+  /**
+   * A game asset with its category name, current value and category multiplier
+   */
+  async getGameAsset(assetId, overrides = {}) {
+    return this.read('get game asset', 'getGameAssetInfo', [assetId], async () => {
+      const asset = await this.contract.getGameAssetInfo(assetId, overrides);
+      const [value, categoryMultiplier] = await this.sdk.multicall.all([
+        { contract: this.contract, method: 'calculateAssetValue', args: [assetId] },
+        { contract: this.contract, method: 'categoryMultipliers', args: [asset.category] }
+      ], overrides);
+      return {
+        ...formatGameAsset(asset),
+        value: value.toString(),
+        categoryMultiplier: categoryMultiplier.toString()
+      };
+    });
+  }
+
+  /**
+   * Value of a game asset from power, rarity, category and durability
+   */
+  async calculateAssetValue(assetId) {
+    return this.read('calculate asset value', 'calculateAssetValue', [assetId], async () => (
+      (await this.contract.calculateAssetValue(assetId)).toString()
+    ));
+  }
+
+  /**
+   * Asset ids in a category; ids only unless `withInfo` is set
+   */
+  async getAssetsByCategory(category, { withInfo = false } = {}) {
+    const index = toAssetCategory(category);
+    return this.read('get assets by category', 'getAssetsByCategory', [index], async () => {
+      const assetIds = await this.contract.getAssetsByCategory(index);
+      if (!withInfo) {
+        return assetIds.map((assetId) => assetId.toString());
+      }
+
+      const assets = await this.sdk.multicall.all(assetIds.map((assetId) => ({
+        contract: this.contract,
+        method: 'getGameAssetInfo',
+        args: [assetId]
+      })));
+      return assets.map(formatGameAsset);
+    });
+  }
+
+  /**
+   * Assets a player holds, found from TransferSingle/TransferBatch events
+   * `balance` is the ERC1155 balance; `trackedBalance` is the contract's
+   * playerAssets count, which plain ERC1155 transfers do not update, so the
+   * two can differ (`inSync` is false then)
+   */
+  async getInventory(player, options = {}) {
+    return this.read('get inventory', 'playerAssets', [player], async () => {
+      const block = await this.sdk.provider.getBlock('latest');
+      const overrides = { blockTag: block.number };
+      const { filters } = this.contract;
+      const range = { ...options, toBlock: block.number };
+
+      const [singleIn, singleOut, batchIn, batchOut] = await Promise.all([
+        queryEventHistory(this.contract, filters.TransferSingle(null, null, player), range),
+        queryEventHistory(this.contract, filters.TransferSingle(null, player), range),
+        queryEventHistory(this.contract, filters.TransferBatch(null, null, player), range),
+        queryEventHistory(this.contract, filters.TransferBatch(null, player), range)
+      ]);
+
+      const assetIds = new Set();
+      for (const event of [...singleIn, ...singleOut]) {
+        assetIds.add(event.args.id.toString());
+      }
+      for (const event of [...batchIn, ...batchOut]) {
+        event.args.ids.forEach((id) => assetIds.add(id.toString()));
+      }
+
+      const ids = [...assetIds];
+      const reads = await this.sdk.multicall.all(ids.flatMap((assetId) => [
+        { contract: this.contract, method: 'balanceOf', args: [player, assetId] },
+        { contract: this.contract, method: 'playerAssets', args: [player, assetId] },
+        { contract: this.contract, method: 'getGameAssetInfo', args: [assetId] }
+      ]), overrides);
+
+      const items = ids
+        .map((assetId, index) => {
+          const [balance, trackedBalance, asset] = reads.slice(index * 3, index * 3 + 3);
+          return {
+            ...formatGameAsset(asset),
+            balance: balance.toString(),
+            trackedBalance: trackedBalance.toString(),
+            inSync: balance.eq(trackedBalance)
+          };
+        })
+        .filter((item) => item.balance !== '0' || item.trackedBalance !== '0')
+        .sort((a, b) => Number(a.assetId) - Number(b.assetId));
+
+      return { player, items, blockNumber: block.number };
+    });
+  }
+
+  /**
+   * Owner only: define a new game asset type
+   */
+  async createGameAsset({
+    name,
+    description = '',
+    category,
+    rarity,
+    powerLevel,
+    maxDurability,
+    isTradeable = true,
+    isUpgradeable = true,
+    gameMetadata = ''
+  }, signer, options = {}) {
+    return this.write('create game asset', 'createGameAsset', [
+      name,
+      description,
+      toAssetCategory(category),
+      rarity,
+      powerLevel,
+      maxDurability,
+      isTradeable,
+      isUpgradeable,
+      gameMetadata
+    ], signer, options);
+  }
+
+  /**
+   * Owner only: mint `amount` of an asset to a player
+   */
+  async mintGameAsset(player, assetId, amount, signer, options = {}) {
+    return this.write('mint game asset', 'mintGameAsset', [player, assetId, amount], signer, options);
+  }
+
+  /**
+   * Raise an asset's power and maximum durability
+   * The result carries `before` and `after` stats; with `simulate` the
+   * `after` stats are projected rather than read back
+   */
+  async upgradeAsset(assetId, powerIncrease, durabilityIncrease, signer, options = {}) {
+    return this.writeWithChange('upgrade asset', 'upgradeAsset', [assetId, powerIncrease, durabilityIncrease], signer, options,
+      (asset) => projectUpgrade(asset, powerIncrease, durabilityIncrease));
+  }
+
+  /**
+   * Restore an asset's durability to its maximum, with `before` and `after` stats
+   */
+  async repairAsset(assetId, signer, options = {}) {
+    return this.writeWithChange('repair asset', 'repairAsset', [assetId], signer, options, projectRepair);
+  }
+
+  /**
+   * Send tradeable assets to another player, keeping playerAssets in step
+   */
+  async tradeAsset(to, assetId, amount, signer, options = {}) {
+    return this.write('trade asset', 'tradeAsset', [to, assetId, amount], signer, options);
+  }
+
+  async writeWithChange(action, method, args, signer, options, project) {
+    const [assetId] = args;
+    const before = await this.getGameAsset(assetId);
+    const result = await this.write(action, method, args, signer, options);
+
+    let after;
+    if (options.simulate) {
+      const projected = { ...before, ...project(before) };
+      after = { ...projected, value: calculateGameAssetValue(projected, before.categoryMultiplier).toString() };
+    } else {
+      after = await this.getGameAsset(assetId, { blockTag: result.blockNumber });
+    }
+
+    return { ...result, before: stats(before), after: stats(after) };
+  }
+}
+
+export default GamingAssetsModule;
@@ -0,0 +1,171 @@
+/**
+ * Delegation and voting power history for the MetaLend SDK
+ * Reads MetaLendToken's ERC20Votes checkpoints and delegation events to show
+ * who delegates to whom and how an account's voting power changed over time
+ */
+
+import { ethers } from 'ethers';
+import { queryEventHistory, getBlockTimestamps } from './Events.js';
+
+class VotingPowerTracker {
+  /**
+   * `contracts` and `multicall` are the SDK's initialized instances
+   */
+  constructor(provider, contracts, multicall) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.multicall = multicall;
+  }
+
+  /**
+   * Accounts currently delegating to `delegate`, with the balance each contributes
+   * Built from DelegateChanged events in which `delegate` gained or lost a
+   * delegator, then confirmed against the token's current delegates()
+   */
+  async getDelegators(delegate, options = {}) {
+    const { metaLendToken } = this.contracts;
+    const { filters } = metaLendToken;
+
+    const [gained, lost, voteChanges] = await Promise.all([
+      queryEventHistory(metaLendToken, filters.DelegateChanged(null, null, delegate), options),
+      queryEventHistory(metaLendToken, filters.DelegateChanged(null, delegate, null), options),
+      queryEventHistory(metaLendToken, filters.DelegateVotesChanged(delegate), options)
+    ]);
+
+    const changes = dedupeEvents([...gained, ...lost]);
+    const latest = new Map();
+    for (const event of changes) {
+      latest.set(event.args.delegator.toLowerCase(), event);
+    }
+
+    const candidates = [...latest.values()]
+      .filter((event) => event.args.toDelegate.toLowerCase() === delegate.toLowerCase())
+      .map((event) => event.args.delegator);
+
+    const reads = await this.multicall.all([
+      { contract: metaLendToken, method: 'getVotes', args: [delegate] },
+      ...candidates.flatMap((delegator) => [
+        { contract: metaLendToken, method: 'delegates', args: [delegator] },
+        { contract: metaLendToken, method: 'balanceOf', args: [delegator] }
+      ])
+    ]);
+    const [votes] = reads;
+
+    const delegators = candidates
+      .map((delegator, index) => ({
+        address: delegator,
+        currentDelegate: reads[1 + index * 2],
+        balance: reads[2 + index * 2].toString(),
+        since: latest.get(delegator.toLowerCase()).blockNumber
+      }))
+      .filter((entry) => entry.currentDelegate.toLowerCase() === delegate.toLowerCase())
+      .map(({ currentDelegate, ...entry }) => entry);
+
+    return {
+      delegate,
+      votes: votes.toString(),
+      delegators,
+      delegations: changes.map((event) => ({
+        delegator: event.args.delegator,
+        fromDelegate: event.args.fromDelegate,
+        toDelegate: event.args.toDelegate,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      })),
+      voteChanges: voteChanges.map((event) => ({
+        previousBalance: event.args.previousBalance.toString(),
+        newBalance: event.args.newBalance.toString(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+      }))
+    };
+  }
+
+  /**
+   * An account's voting power over blocks, from its ERC20Votes checkpoints
+   * `checkpoints` lists every change; `series` is ready to chart. With `points`
+   * set, the series is sampled at that many evenly spaced blocks between
+   * fromBlock and toBlock instead of one point per checkpoint.
+   */
+  async getVotingPowerHistory(account, { fromBlock = 0, toBlock, points, withTimestamps = false } = {}) {
+    const { metaLendToken } = this.contracts;
+    const lastBlock = toBlock !== undefined ? toBlock : await this.provider.getBlockNumber();
+    const overrides = { blockTag: lastBlock };
+
+    const count = await metaLendToken.numCheckpoints(account, overrides);
+    const checkpoints = (await this.multicall.all(
+      Array.from({ length: count }, (_, index) => ({
+        contract: metaLendToken,
+        method: 'checkpoints',
+        args: [account, index]
+      })),
+      overrides
+    )).map((checkpoint) => ({
+      blockNumber: Number(checkpoint.fromBlock),
+      votes: ethers.BigNumber.from(checkpoint.votes)
+    }));
+
+    const votesAt = (blockNumber) => {
+      let votes = ethers.constants.Zero;
+      for (const checkpoint of checkpoints) {
+        if (checkpoint.blockNumber > blockNumber) {
+          break;
+        }
+        votes = checkpoint.votes;
+      }
+      return votes;
+    };
+
+    let series;
+    if (points) {
+      const span = Math.max(lastBlock - fromBlock, 0);
+      const length = Math.min(points, span + 1);
+      const steps = Math.max(length - 1, 1);
+      series = Array.from({ length }, (_, index) => {
+        const blockNumber = fromBlock + Math.round((span * index) / steps);
+        return { blockNumber, votes: votesAt(blockNumber) };
+      });
+    } else {
+      series = [
+        { blockNumber: fromBlock, votes: votesAt(fromBlock) },
+        ...checkpoints.filter((checkpoint) => checkpoint.blockNumber > fromBlock && checkpoint.blockNumber < lastBlock)
+      ];
+      if (lastBlock > fromBlock) {
+        series.push({ blockNumber: lastBlock, votes: votesAt(lastBlock) });
+      }
+    }
+
+    const timestamps = withTimestamps
+      ? await getBlockTimestamps(this.provider, series.map((point) => point.blockNumber))
+      : null;
+
+    return {
+      account,
+      fromBlock,
+      toBlock: lastBlock,
+      checkpoints: checkpoints.map(formatPoint),
+      series: series.map((point) => ({
+        ...formatPoint(point),
+        ...(timestamps && { timestamp: timestamps.get(point.blockNumber) })
+      }))
+    };
+  }
+}
+
+function formatPoint({ blockNumber, votes }) {
+  return { blockNumber, votes: votes.toString() };
+}
+
+/**
+ * Merge event lists that may overlap, oldest first
+ */
+function dedupeEvents(events) {
+  const unique = new Map();
+  for (const event of events) {
+    unique.set(`${event.transactionHash}:${event.logIndex}`, event);
+  }
+  return [...unique.values()]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+export default VotingPowerTracker;
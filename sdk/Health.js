@@ -0,0 +1,153 @@
+/**
+ * Position health analytics for MetaLend loans
+ * Combines LoanPool debt, CollateralManager valuation and LiquidationEngine's
+ * threshold into the numbers a borrower needs to see how close a loan is to
+ * liquidation
+ */
+
+import { ethers } from 'ethers';
+import { NotFoundError } from './errors.js';
+
+// Basis point precision shared by the protocol contracts
+export const PRECISION = 10000;
+
+const HEALTH_FACTOR_DECIMALS = 18;
+const ONE = ethers.utils.parseUnits('1', HEALTH_FACTOR_DECIMALS);
+
+/**
+ * Compute the health of a single loan from values read at one block
+ * LiquidationEngine liquidates once collateralValue < debt * PRECISION / threshold,
+ * so a health factor below 1 means the position can be liquidated
+ */
+export function computePositionHealth({
+  loanId,
+  loan,
+  totalDebt,
+  collateral,
+  collateralValue,
+  floorPrice,
+  liquidationThreshold,
+  timestamp
+}) {
+  const debt = ethers.BigNumber.from(totalDebt);
+  const value = ethers.BigNumber.from(collateralValue);
+  const threshold = ethers.BigNumber.from(liquidationThreshold);
+  const maturityTime = ethers.BigNumber.from(loan.maturityTime);
+  const now = ethers.BigNumber.from(timestamp);
+  const floor = floorPrice ? ethers.BigNumber.from(floorPrice) : null;
+
+  // Collateral valuation below which the loan becomes liquidatable
+  const liquidationValue = threshold.isZero() ? null : debt.mul(PRECISION).div(threshold);
+
+  let healthFactor = null;
+  let ltv = null;
+  if (!debt.isZero()) {
+    healthFactor = ethers.utils.formatUnits(value.mul(threshold).mul(ONE).div(debt.mul(PRECISION)), HEALTH_FACTOR_DECIMALS);
+  }
+  if (!value.isZero()) {
+    ltv = debt.mul(PRECISION).div(value).toString();
+  }
+
+  // Collection floor at which liquidation triggers, assuming the valuation tracks the floor
+  let liquidationFloorPrice = null;
+  if (liquidationValue && floor && !floor.isZero() && !value.isZero()) {
+    liquidationFloorPrice = floor.mul(liquidationValue).div(value).toString();
+  }
+
+  const isLiquidatable = Boolean(loan.isActive && liquidationValue && !debt.isZero() && value.lt(liquidationValue));
+  const isMatured = now.gt(maturityTime);
+
+  return {
+    loanId: loanId.toString(),
+    collateralId: loan.collateralId.toString(),
+    nftContract: collateral.nftContract,
+    tokenId: collateral.tokenId.toString(),
+    isActive: loan.isActive,
+    totalDebt: debt.toString(),
+    collateralValue: value.toString(),
+    floorPrice: floor ? floor.toString() : null,
+    liquidationThreshold: threshold.toString(),
+    healthFactor,
+    ltv,
+    liquidationValue: liquidationValue ? liquidationValue.toString() : null,
+    liquidationFloorPrice,
+    maturityTime: maturityTime.toString(),
+    timeToMaturity: isMatured ? '0' : maturityTime.sub(now).toString(),
+    isMatured,
+    isLiquidatable,
+    // LoanPool treats overdue loans as unhealthy regardless of collateral value
+    isHealthy: !loan.isActive || (!isMatured && !isLiquidatable)
+  };
+}
+
+class PositionHealthReader {
+  /**
+   * `contracts` and `multicall` are the SDK's initialized instances
+   */
+  constructor(provider, contracts, multicall) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.multicall = multicall;
+  }
+
+  /**
+   * Read and compute the health of several loans at the same block
+   */
+  async getPositionHealth(loanIds) {
+    if (loanIds.length === 0) {
+      return [];
+    }
+
+    const block = await this.provider.getBlock('latest');
+    const overrides = { blockTag: block.number };
+    const { loanPool, collateralManager, liquidationEngine, nftOracle } = this.contracts;
+
+    const [liquidationThreshold, ...loanReads] = await this.multicall.all([
+      { contract: liquidationEngine, method: 'liquidationThreshold' },
+      ...loanIds.flatMap((loanId) => [
+        { contract: loanPool, method: 'getLoanInfo', args: [loanId] },
+        { contract: loanPool, method: 'calculateTotalDebt', args: [loanId] }
+      ])
+    ], overrides);
+
+    const loans = loanIds.map((loanId, index) => ({
+      loanId,
+      loan: loanReads[index * 2],
+      totalDebt: loanReads[index * 2 + 1]
+    }));
+
+    const missing = loans.find(({ loan }) => loan.borrower === ethers.constants.AddressZero);
+    if (missing) {
+      throw new NotFoundError(`Loan ${missing.loanId} does not exist`, { context: { loanId: missing.loanId.toString() } });
+    }
+
+    const collaterals = await this.multicall.all(
+      loans.map(({ loan }) => ({
+        contract: collateralManager,
+        method: 'getCollateralInfo',
+        args: [loan.collateralId]
+      })),
+      overrides
+    );
+
+    // Oracle floor prices are informational, so a failing oracle does not fail the read
+    const valuations = await this.multicall.all(
+      collaterals.flatMap((collateral) => [
+        { contract: collateralManager, method: 'calculateCollateralValue', args: [collateral.nftContract, collateral.tokenId] },
+        { contract: nftOracle, method: 'getCollectionFloorPrice', args: [collateral.nftContract], allowFailure: true }
+      ]),
+      overrides
+    );
+
+    return loans.map((position, index) => computePositionHealth({
+      ...position,
+      collateral: collaterals[index],
+      collateralValue: valuations[index * 2],
+      floorPrice: valuations[index * 2 + 1],
+      liquidationThreshold,
+      timestamp: block.timestamp
+    }));
+  }
+}
+
+export default PositionHealthReader;
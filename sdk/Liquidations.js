@@ -0,0 +1,227 @@
+/**
+ * Liquidations for the MetaLend SDK
+ * Finds collateral the LiquidationEngine will liquidate, follows each one
+ * through trigger, delay window and execution, and prices what executing
+ * costs the liquidator
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { LiquidationError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+// LiquidationEngine.calculateDebtAmount assumes 70% LTV of the recorded collateral value
+const ASSUMED_DEBT_RATIO = 7000;
+
+export const LIQUIDATION_STATUSES = {
+  HEALTHY: 'healthy',
+  ELIGIBLE: 'eligible',
+  PENDING: 'pending',
+  EXECUTABLE: 'executable',
+  LIQUIDATED: 'liquidated',
+  INACTIVE: 'inactive'
+};
+
+/**
+ * Price a liquidation the way LiquidationEngine settles it
+ * The engine pulls debt + bonus from the liquidator and sends the bonus back,
+ * so `netCost` is the debt. The engine never transfers the NFT: both
+ * collateral managers only mark the collateral inactive.
+ */
+export function quoteLiquidation({ collateralValue, liquidationBonus, debtAmount, bonusAmount }) {
+  const recordedValue = ethers.BigNumber.from(collateralValue);
+  const debt = debtAmount !== undefined
+    ? ethers.BigNumber.from(debtAmount)
+    : recordedValue.mul(ASSUMED_DEBT_RATIO).div(PRECISION);
+  const bonus = bonusAmount !== undefined
+    ? ethers.BigNumber.from(bonusAmount)
+    : recordedValue.mul(liquidationBonus).div(PRECISION);
+
+  return {
+    debtRepaid: debt.toString(),
+    bonus: bonus.toString(),
+    paymentRequired: debt.add(bonus).toString(),
+    netCost: debt.toString()
+  };
+}
+
+/**
+ * Where a collateral stands in the liquidation flow
+ */
+export function liquidationStatus({ isActive, eligible, triggeredAt, isLiquidated, secondsRemaining }) {
+  if (isLiquidated) {
+    return LIQUIDATION_STATUSES.LIQUIDATED;
+  }
+  if (!isActive) {
+    return LIQUIDATION_STATUSES.INACTIVE;
+  }
+  if (triggeredAt > 0) {
+    return secondsRemaining > 0 ? LIQUIDATION_STATUSES.PENDING : LIQUIDATION_STATUSES.EXECUTABLE;
+  }
+  return eligible ? LIQUIDATION_STATUSES.ELIGIBLE : LIQUIDATION_STATUSES.HEALTHY;
+}
+
+class LiquidationModule extends SdkModule {
+  constructor(sdk) {
+    super(sdk, 'liquidationEngine');
+  }
+
+  /**
+   * Liquidation state of one collateral, with its delay window and a quote
+   * Pending liquidations are quoted from the amounts recorded at trigger time
+   */
+  async getLiquidationStatus(collateralId) {
+    return this.read('get liquidation status', 'getLiquidationInfo', [collateralId], async () => {
+      const block = await this.sdk.provider.getBlock('latest');
+      const [status] = await this.readStatuses([collateralId], block);
+      return status;
+    });
+  }
+
+  /**
+   * Collateral that can be triggered or executed now, plus pending ones
+   * Scans collateral ids `fromId`..`toId` (default: all of them)
+   */
+  async getLiquidatable({ fromId = 1, toId, includePending = true } = {}) {
+    return this.read('get liquidatable collateral', 'isLiquidationEligible', [], async () => {
+      const block = await this.sdk.provider.getBlock('latest');
+      const overrides = { blockTag: block.number };
+      const lastId = toId !== undefined
+        ? Number(toId)
+        : Number(await this.sdk.contracts.collateralManager.getCollateralCount(overrides));
+
+      const collateralIds = [];
+      for (let id = Number(fromId); id <= lastId; id++) {
+        collateralIds.push(id);
+      }
+
+      const flags = await this.sdk.multicall.all(collateralIds.flatMap((collateralId) => [
+        { contract: this.contract, method: 'isLiquidationEligible', args: [collateralId] },
+        { contract: this.contract, method: 'isLiquidationPending', args: [collateralId] }
+      ]), overrides);
+
+      const candidates = collateralIds.filter((_, index) => flags[index * 2] || flags[index * 2 + 1]);
+      const statuses = await this.readStatuses(candidates, block);
+
+      return statuses.filter((status) => (
+        status.status === LIQUIDATION_STATUSES.ELIGIBLE ||
+        status.status === LIQUIDATION_STATUSES.EXECUTABLE ||
+        (includePending && status.status === LIQUIDATION_STATUSES.PENDING)
+      ));
+    });
+  }
+
+  /**
+   * Start the liquidation delay for an eligible collateral
+   * Triggering again restarts the delay, so a pending liquidation is refused
+   * unless `force` is set
+   */
+  async triggerLiquidation(collateralId, signer, options = {}) {
+    this.sdk.ensureInitialized();
+    const status = await this.getLiquidationStatus(collateralId);
+
+    if (status.pending && !options.force) {
+      throw new LiquidationError('Liquidation already pending', {
+        context: { collateralId: status.collateralId, executableAt: status.executableAt }
+      });
+    }
+    if (!status.eligible) {
+      throw new LiquidationError('Not eligible for liquidation', {
+        reason: 'Not eligible for liquidation',
+        context: { collateralId: status.collateralId }
+      });
+    }
+
+    const { force, ...writeOptions } = options;
+    return this.write('trigger liquidation', 'triggerLiquidation', [collateralId], signer, writeOptions);
+  }
+
+  /**
+   * Execute a triggered liquidation once its delay has passed
+   * Sent to the LiquidationEngine directly: the engine pulls debt + bonus from
+   * the caller, which would be the MetaLend contract if routed through it.
+   * With `ensureApprovals` the payment is approved to the engine first.
+   */
+  async executeLiquidation(collateralId, signer, options = {}) {
+    this.sdk.ensureInitialized();
+    const status = await this.getLiquidationStatus(collateralId);
+
+    if (status.status === LIQUIDATION_STATUSES.LIQUIDATED) {
+      throw new LiquidationError('Already liquidated', { reason: 'Already liquidated', context: { collateralId: status.collateralId } });
+    }
+    if (status.status !== LIQUIDATION_STATUSES.EXECUTABLE) {
+      throw new LiquidationError('Liquidation delay not met', {
+        reason: 'Liquidation delay not met',
+        context: { collateralId: status.collateralId, secondsRemaining: status.secondsRemaining }
+      });
+    }
+
+    return this.write(
+      'execute liquidation',
+      'executeLiquidation',
+      [collateralId],
+      signer,
+      options,
+      async () => [{
+        type: 'erc20',
+        token: await this.contract.asset(),
+        amount: status.quote.paymentRequired,
+        spender: this.contract.address
+      }]
+    );
+  }
+
+  /**
+   * Read and assemble statuses for several collaterals at one block
+   */
+  async readStatuses(collateralIds, block) {
+    const overrides = { blockTag: block.number };
+    const { metaLend } = this.sdk.contracts;
+
+    const [liquidationDelay, liquidationBonus, ...perCollateral] = await this.sdk.multicall.all([
+      { contract: this.contract, method: 'liquidationDelay' },
+      { contract: this.contract, method: 'liquidationBonus' },
+      ...collateralIds.flatMap((collateralId) => [
+        { contract: metaLend, method: 'getCollateralInfo', args: [collateralId] },
+        { contract: this.contract, method: 'isLiquidationEligible', args: [collateralId] },
+        { contract: this.contract, method: 'getLiquidationInfo', args: [collateralId] },
+        { contract: this.contract, method: 'liquidationTimestamps', args: [collateralId] }
+      ])
+    ], overrides);
+
+    return collateralIds.map((collateralId, index) => {
+      const [collateral, eligible, info, triggeredAt] = perCollateral.slice(index * 4, index * 4 + 4);
+      const triggered = Number(triggeredAt);
+      const executableAt = triggered > 0 ? triggered + Number(liquidationDelay) : null;
+      const secondsRemaining = executableAt ? Math.max(executableAt - block.timestamp, 0) : null;
+      const status = liquidationStatus({
+        isActive: collateral.isActive,
+        eligible,
+        triggeredAt: triggered,
+        isLiquidated: info.isLiquidated,
+        secondsRemaining
+      });
+
+      return {
+        collateralId: collateralId.toString(),
+        status,
+        eligible,
+        pending: triggered > 0 && !info.isLiquidated,
+        nftContract: collateral.nftContract,
+        tokenId: collateral.tokenId.toString(),
+        triggeredAt: triggered > 0 ? triggered : null,
+        executableAt,
+        secondsRemaining,
+        quote: quoteLiquidation({
+          collateralValue: collateral.collateralValue,
+          liquidationBonus,
+          ...(triggered > 0 && { debtAmount: info.debtAmount, bonusAmount: info.liquidationBonus })
+        }),
+        blockNumber: block.number,
+        timestamp: block.timestamp
+      };
+    });
+  }
+}
+
+export default LiquidationModule;
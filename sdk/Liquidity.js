@@ -0,0 +1,184 @@
+/**
+ * Liquidity provider positions for the MetaLend SDK
+ * Values LoanPool shares, rebuilds deposit/withdraw history from events and
+ * reports realized and utilization-implied APY per address
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { queryEventHistory, getBlockTimestamps } from './Events.js';
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+/**
+ * Underlying value of `shares`, as LoanPool.withdrawLiquidity computes it
+ */
+export function sharesToUnderlying(shares, totalShares, totalLiquidity) {
+  const supply = ethers.BigNumber.from(totalShares);
+  if (supply.isZero()) {
+    return ethers.constants.Zero;
+  }
+  return ethers.BigNumber.from(shares).mul(totalLiquidity).div(supply);
+}
+
+/**
+ * Shares minted for a deposit of `amount`, as LoanPool.provideLiquidity computes it
+ */
+export function underlyingToShares(amount, totalShares, totalLiquidity) {
+  const supply = ethers.BigNumber.from(totalShares);
+  if (supply.isZero()) {
+    return ethers.BigNumber.from(amount);
+  }
+  return ethers.BigNumber.from(amount).mul(supply).div(totalLiquidity);
+}
+
+/**
+ * APY lenders earn at the current utilization, in basis points
+ * Borrowers pay `interestRate` on the borrowed share of the pool and
+ * `reserveFactor` of repayments goes to reserves
+ */
+export function calculateImpliedAPY(interestRate, utilizationRate, reserveFactor) {
+  return ethers.BigNumber.from(interestRate)
+    .mul(utilizationRate)
+    .div(PRECISION)
+    .mul(ethers.BigNumber.from(PRECISION).sub(reserveFactor))
+    .div(PRECISION);
+}
+
+/**
+ * Annualized return of a deposit/withdraw history, in basis points
+ * Uses the modified Dietz method: each flow is weighted by how long it was in
+ * the pool, so later deposits count for less capital. Returns null while no
+ * capital has been in the pool for any time.
+ */
+export function calculateRealizedAPY(history, currentValue, timestamp) {
+  let netFlows = ethers.constants.Zero;
+  let weightedCapital = ethers.constants.Zero;
+
+  for (const entry of history) {
+    const flow = entry.type === 'deposit'
+      ? ethers.BigNumber.from(entry.amount)
+      : ethers.BigNumber.from(entry.amount).mul(-1);
+    netFlows = netFlows.add(flow);
+    weightedCapital = weightedCapital.add(flow.mul(timestamp - entry.timestamp));
+  }
+
+  if (weightedCapital.lte(0)) {
+    return null;
+  }
+
+  const earned = ethers.BigNumber.from(currentValue).sub(netFlows);
+  return earned.mul(SECONDS_PER_YEAR).mul(PRECISION).div(weightedCapital);
+}
+
+class LiquidityTracker {
+  /**
+   * `contracts` and `multicall` are the SDK's initialized instances
+   */
+  constructor(provider, contracts, multicall) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.multicall = multicall;
+  }
+
+  /**
+   * Current shares, their underlying value and how much can be withdrawn now
+   */
+  async getPosition(providerAddress, overrides = {}) {
+    const { loanPool } = this.contracts;
+    const [shares, totalShares, totalLiquidity, availableLiquidity] = await this.multicall.all([
+      { contract: loanPool, method: 'liquidityShares', args: [providerAddress] },
+      { contract: loanPool, method: 'totalShares' },
+      { contract: loanPool, method: 'totalLiquidity' },
+      { contract: loanPool, method: 'getAvailableLiquidity' }
+    ], overrides);
+
+    const value = sharesToUnderlying(shares, totalShares, totalLiquidity);
+    return {
+      provider: providerAddress,
+      shares: shares.toString(),
+      value: value.toString(),
+      poolShare: totalShares.isZero() ? '0' : shares.mul(PRECISION).div(totalShares).toString(),
+      withdrawable: (value.lt(availableLiquidity) ? value : availableLiquidity).toString(),
+      totalShares: totalShares.toString(),
+      totalLiquidity: totalLiquidity.toString()
+    };
+  }
+
+  /**
+   * Deposits and withdrawals for an address, oldest first
+   * `sharesAfter` is the provider's share balance after each entry
+   */
+  async getHistory(providerAddress, options = {}) {
+    const { loanPool } = this.contracts;
+    const [deposits, withdrawals] = await Promise.all([
+      queryEventHistory(loanPool, loanPool.filters.LiquidityProvided(providerAddress), options),
+      queryEventHistory(loanPool, loanPool.filters.LiquidityWithdrawn(providerAddress), options)
+    ]);
+
+    const events = [
+      ...deposits.map((event) => ({ type: 'deposit', event })),
+      ...withdrawals.map((event) => ({ type: 'withdraw', event }))
+    ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+    const timestamps = await getBlockTimestamps(this.provider, events.map(({ event }) => event.blockNumber));
+
+    let shares = ethers.constants.Zero;
+    return events.map(({ type, event }) => {
+      shares = type === 'deposit' ? shares.add(event.args.shares) : shares.sub(event.args.shares);
+      return {
+        type,
+        amount: event.args.amount.toString(),
+        shares: event.args.shares.toString(),
+        sharesAfter: shares.toString(),
+        blockNumber: event.blockNumber,
+        timestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash
+      };
+    });
+  }
+
+  /**
+   * Realized APY from the address's own history, plus the APY implied by the
+   * pool's current utilization, both in basis points
+   */
+  async getAPY(providerAddress, options = {}) {
+    const block = await this.provider.getBlock('latest');
+    const overrides = { blockTag: block.number };
+    const { loanPool } = this.contracts;
+
+    const [position, poolInfo, history] = await Promise.all([
+      this.getPosition(providerAddress, overrides),
+      loanPool.getPoolInfo(overrides),
+      this.getHistory(providerAddress, { ...options, toBlock: block.number })
+    ]);
+
+    const deposited = sumAmounts(history, 'deposit');
+    const withdrawn = sumAmounts(history, 'withdraw');
+    const realizedAPY = calculateRealizedAPY(history, position.value, block.timestamp);
+
+    return {
+      provider: providerAddress,
+      value: position.value,
+      deposited: deposited.toString(),
+      withdrawn: withdrawn.toString(),
+      earned: ethers.BigNumber.from(position.value).add(withdrawn).sub(deposited).toString(),
+      realizedAPY: realizedAPY ? realizedAPY.toString() : null,
+      impliedAPY: calculateImpliedAPY(
+        poolInfo.baseInterestRate,
+        poolInfo.utilizationRate,
+        poolInfo.reserveFactor
+      ).toString(),
+      since: history.length > 0 ? history[0].timestamp : null,
+      blockNumber: block.number
+    };
+  }
+}
+
+function sumAmounts(history, type) {
+  return history
+    .filter((entry) => entry.type === type)
+    .reduce((total, entry) => total.add(entry.amount), ethers.constants.Zero);
+}
+
+export default LiquidityTracker;
@@ -4,22 +4,97 @@
  */
 
 import { ethers } from 'ethers';
+import Multicall, { MULTICALL_ADDRESSES } from './Multicall.js';
+import ApprovalManager from './Approvals.js';
+import TransactionSimulator from './Simulation.js';
+import { EventSubscription, MemoryCursorStore, resolveEventSources } from './Events.js';
+import AddressRegistry, { normalizeNetworkName } from './AddressRegistry.js';
+import PositionHealthReader from './Health.js';
+import BorrowQuoter from './Quotes.js';
+import LiquidityTracker from './Liquidity.js';
+import VotingPowerTracker from './Governance.js';
+import ProposalTracker from './ProposalTracker.js';
+import ProposalBuilder, { toProposalType, proposalTypeName, PROPOSAL_STATUSES } from './Proposals.js';
+import VirtualAssetModule, { toAssetType } from './VirtualAssets.js';
+import EnhancedCollateralModule, {
+  COLLATERAL_MANAGER_TYPES,
+  detectCollateralManagerType,
+  formatEnhancedCollateral
+} from './Collateral.js';
+import LiquidationModule from './Liquidations.js';
+import GamingAssetsModule from './GamingAssets.js';
+import RealEstateModule from './RealEstate.js';
+import PlatformModule from './Platforms.js';
+import StakingModule from './Staking.js';
+import MultisigClient from './Multisig.js';
+import TimelockClient from './Timelock.js';
+import NonceManager from './Nonces.js';
+import FeeManager from './Fees.js';
+import MultiRpcProvider from './Providers.js';
+import ReadCache from './Cache.js';
+import { toMetaLendError, MetaLendError, InvalidParameterError } from './errors.js';
 
 class MetaLendSDK {
-  constructor(provider, network = 'mainnet') {
-    this.provider = provider;
-    this.network = network;
+  /**
+   * `provider` is an ethers provider, or a list of RPC URLs and providers to
+   * fail over between (see MultiRpcProvider; settings go in `options.rpc`).
+   * Without a `network`, initialize() uses the provider's chain.
+   */
+  constructor(provider, network = null, options = {}) {
+    this.provider = Array.isArray(provider) ? new MultiRpcProvider(provider, options.rpc) : provider;
+    this.network = network ? normalizeNetworkName(network) : null;
+    this.options = options;
+    this.registry = options.registry || null;
+    this.addresses = {};
     this.contracts = {};
+    this.multicall = null;
+    this.health = null;
+    this.quoter = null;
+    this.liquidity = null;
+    this.proposals = null;
+    this.votingPower = null;
+    this.virtualAssets = null;
+    this.collateralManagerType = null;
+    this.enhancedCollateral = null;
+    this.liquidations = null;
+    this.gamingAssets = null;
+    this.realEstate = null;
+    this.platforms = null;
+    this.staking = null;
+    this.multisig = null;
+    this.timelock = null;
+    this.abis = {};
+    this.approvals = new ApprovalManager(this.provider);
+    this.nonces = options.nonceManager === true ? new NonceManager(this.provider) : options.nonceManager || null;
+    this.fees = options.fees ? new FeeManager(this.provider, options.fees) : null;
+    this.simulator = new TransactionSimulator(this.provider);
+    this.cache = options.cache ? new ReadCache(this, options.cache === true ? {} : options.cache) : null;
+    this.cursorStore = options.cursorStore || new MemoryCursorStore();
+    this.subscriptions = new Set();
     this.initialized = false;
   }
 
   /**
    * Initialize the SDK with contract addresses
+   * Addresses are resolved from the registry for the SDK network; any passed
+   * here override the registry entry of the same name
    */
-  async initialize(contractAddresses) {
+  async initialize(contractAddresses = {}) {
     try {
+      const registry = this.registry || await this.loadAddressRegistry();
+      if (this.network) {
+        // Check the provider's chain before resolving addresses for the SDK network
+        await registry.verifyNetwork(this.provider, this.network, this.options.chainId);
+      } else {
+        const { chainId } = await this.provider.getNetwork();
+        this.network = registry.getNetworkName(chainId) || `chain-${chainId}`;
+      }
+      contractAddresses = registry.getAddresses(this.network, contractAddresses);
+      this.addresses = contractAddresses;
+      
       // Load contract ABIs
       const abis = await this.loadContractABIs();
+      this.abis = abis;
       
       // Initialize contracts
       this.contracts.metaLend = new ethers.Contract(
@@ -28,9 +103,12 @@ class MetaLendSDK {
         this.provider
       );
       
+      // Deployments use either CollateralManager or EnhancedCollateralManager
+      this.collateralManagerType = this.options.collateralManagerType ||
+        await detectCollateralManagerType(this.provider, contractAddresses.collateralManager);
       this.contracts.collateralManager = new ethers.Contract(
         contractAddresses.collateralManager,
-        abis.collateralManager,
+        this.isEnhancedCollateralManager() ? abis.enhancedCollateralManager : abis.collateralManager,
         this.provider
       );
       
@@ -52,6 +130,69 @@ class MetaLendSDK {
         this.provider
       );
       
+      // LiquidationEngine and NFTOracle can be discovered through MetaLend
+      this.contracts.liquidationEngine = new ethers.Contract(
+        contractAddresses.liquidationEngine || await this.contracts.metaLend.liquidationEngine(),
+        abis.liquidationEngine,
+        this.provider
+      );
+      
+      this.contracts.nftOracle = new ethers.Contract(
+        contractAddresses.nftOracle || await this.contracts.metaLend.nftOracle(),
+        abis.nftOracle,
+        this.provider
+      );
+      
+      // The governance token can be discovered through the DAO
+      this.contracts.metaLendToken = new ethers.Contract(
+        contractAddresses.metaLendToken || await this.contracts.governanceDAO.token(),
+        abis.metaLendToken,
+        this.provider
+      );
+      
+      // Asset collections are optional; more can be attached with getGamingAssets()
+      // and getVirtualRealEstate()
+      for (const contractName of ['gamingAssets', 'virtualRealEstate']) {
+        if (contractAddresses[contractName]) {
+          this.contracts[contractName] = new ethers.Contract(
+            contractAddresses[contractName],
+            abis[contractName],
+            this.provider
+          );
+        }
+      }
+      
+      for (const contractName of ['metaversePlatformManager', 'multisigWallet', 'timelockController']) {
+        if (contractAddresses[contractName]) {
+          this.contracts[contractName] = new ethers.Contract(
+            contractAddresses[contractName],
+            abis[contractName],
+            this.provider
+          );
+        }
+      }
+      
+      // Batched reads fall back to parallel calls when no multicall is deployed
+      this.multicall = new Multicall(this.provider, {
+        address: this.options.multicallAddress || contractAddresses.multicall3 || MULTICALL_ADDRESSES[this.network],
+        batchSize: this.options.multicallBatchSize,
+        concurrency: this.options.concurrency
+      });
+      this.health = new PositionHealthReader(this.provider, this.contracts, this.multicall);
+      this.quoter = new BorrowQuoter(this.provider, this.contracts, this.multicall);
+      this.liquidity = new LiquidityTracker(this.provider, this.contracts, this.multicall);
+      this.proposals = new ProposalBuilder(this.contracts, this.addresses);
+      this.votingPower = new VotingPowerTracker(this.provider, this.contracts, this.multicall);
+      this.virtualAssets = new VirtualAssetModule(this);
+      this.enhancedCollateral = this.isEnhancedCollateralManager() ? new EnhancedCollateralModule(this) : null;
+      this.liquidations = new LiquidationModule(this);
+      this.gamingAssets = this.contracts.gamingAssets ? new GamingAssetsModule(this, 'gamingAssets') : null;
+      this.realEstate = this.contracts.virtualRealEstate ? new RealEstateModule(this, 'virtualRealEstate') : null;
+      this.platforms = this.contracts.metaversePlatformManager ? new PlatformModule(this) : null;
+      this.staking = new StakingModule(this);
+      this.multisig = this.contracts.multisigWallet ? new MultisigClient(this, 'multisigWallet') : null;
+      this.timelock = this.contracts.timelockController ? new TimelockClient(this, 'timelockController') : null;
+      
       this.initialized = true;
       return true;
     } catch (error) {
@@ -60,6 +201,29 @@ class MetaLendSDK {
     }
   }
 
+  /**
+   * Build the address registry from `options.deployments` or deploy output
+   */
+  async loadAddressRegistry() {
+    if (this.options.deployments) {
+      this.registry = AddressRegistry.fromDeployments(this.options.deployments);
+      return this.registry;
+    }
+    
+    try {
+      const { readFile } = await import('fs/promises');
+      const deployments = JSON.parse(await readFile(new URL('../deployments.json', import.meta.url), 'utf8'));
+      this.registry = AddressRegistry.fromDeployments(deployments);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // No deploy output available; every address must be passed to initialize()
+      this.registry = new AddressRegistry();
+    }
+    return this.registry;
+  }
+
   /**
    * Load contract ABIs from local files
    */
@@ -68,14 +232,24 @@ class MetaLendSDK {
     return {
       metaLend: require('./abis/MetaLend.json'),
       collateralManager: require('./abis/CollateralManager.json'),
+      enhancedCollateralManager: require('./abis/EnhancedCollateralManager.json'),
       loanPool: require('./abis/LoanPool.json'),
       virtualAssetManager: require('./abis/VirtualAssetManager.json'),
-      governanceDAO: require('./abis/GovernanceDAO.json')
+      governanceDAO: require('./abis/GovernanceDAO.json'),
+      liquidationEngine: require('./abis/LiquidationEngine.json'),
+      nftOracle: require('./abis/NFTOracle.json'),
+      metaLendToken: require('./abis/MetaLendToken.json'),
+      gamingAssets: require('./abis/GamingAssets.json'),
+      virtualRealEstate: require('./abis/VirtualRealEstate.json'),
+      metaversePlatformManager: require('./abis/MetaversePlatformManager.json'),
+      multisigWallet: require('./abis/MultisigWallet.json'),
+      timelockController: require('./abis/TimelockController.json')
     };
   }
 
   /**
    * Deposit collateral and borrow in one transaction
+   * With `ensureApprovals` the NFT is approved to the CollateralManager first
    */
   async depositCollateralAndBorrow(
     nftContract,
@@ -83,256 +257,414 @@ class MetaLendSDK {
     asset,
     loanAmount,
     duration,
-    signer
+    signer,
+    options = {}
   ) {
     this.ensureInitialized();
     
-    try {
-      const tx = await this.contracts.metaLend
-        .connect(signer)
-        .depositCollateralAndBorrow(
-          nftContract,
-          tokenId,
-          asset,
-          loanAmount,
-          duration
-        );
-      
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
-    } catch (error) {
-      throw new Error(`Failed to deposit collateral and borrow: ${error.message}`);
-    }
+    return this.executeWrite(
+      'deposit collateral and borrow',
+      'metaLend',
+      'depositCollateralAndBorrow',
+      [nftContract, tokenId, asset, loanAmount, duration],
+      signer,
+      options,
+      async () => [{
+        type: 'erc721',
+        token: nftContract,
+        tokenId,
+        spender: this.contracts.collateralManager.address
+      }]
+    );
   }
 
   /**
    * Repay loan and withdraw collateral
+   * With `ensureApprovals` the repayment is approved to the LoanPool first
    */
-  async repayLoanAndWithdrawCollateral(loanId, repaymentAmount, signer) {
+  async repayLoanAndWithdrawCollateral(loanId, repaymentAmount, signer, options = {}) {
     this.ensureInitialized();
     
-    try {
-      const tx = await this.contracts.metaLend
-        .connect(signer)
-        .repayLoanAndWithdrawCollateral(loanId, repaymentAmount);
-      
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
-    } catch (error) {
-      throw new Error(`Failed to repay loan and withdraw collateral: ${error.message}`);
-    }
+    return this.executeWrite(
+      'repay loan and withdraw collateral',
+      'metaLend',
+      'repayLoanAndWithdrawCollateral',
+      [loanId, repaymentAmount],
+      signer,
+      options,
+      async () => [{
+        type: 'erc20',
+        token: await this.contracts.loanPool.asset(),
+        amount: repaymentAmount,
+        spender: this.contracts.loanPool.address
+      }]
+    );
   }
 
   /**
    * Provide liquidity to the protocol
+   * With `ensureApprovals` the deposit is approved to the LoanPool first
    */
-  async provideLiquidity(asset, amount, signer) {
+  async provideLiquidity(asset, amount, signer, options = {}) {
     this.ensureInitialized();
     
-    try {
-      const tx = await this.contracts.metaLend
-        .connect(signer)
-        .provideLiquidity(asset, amount);
-      
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
-    } catch (error) {
-      throw new Error(`Failed to provide liquidity: ${error.message}`);
-    }
+    return this.executeWrite(
+      'provide liquidity',
+      'metaLend',
+      'provideLiquidity',
+      [asset, amount],
+      signer,
+      options,
+      async () => [{
+        type: 'erc20',
+        token: asset,
+        amount,
+        spender: this.contracts.loanPool.address
+      }]
+    );
   }
 
   /**
    * Withdraw liquidity from the protocol
    */
-  async withdrawLiquidity(shares, signer) {
+  async withdrawLiquidity(shares, signer, options = {}) {
     this.ensureInitialized();
     
-    try {
-      const tx = await this.contracts.metaLend
-        .connect(signer)
-        .withdrawLiquidity(shares);
-      
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
-    } catch (error) {
-      throw new Error(`Failed to withdraw liquidity: ${error.message}`);
-    }
+    return this.executeWrite(
+      'withdraw liquidity',
+      'metaLend',
+      'withdrawLiquidity',
+      [shares],
+      signer,
+      options
+    );
   }
 
   /**
    * Register a virtual asset
+   * `assetType` may be an AssetType name; see sdk.virtualAssets for valuations
    */
   async registerVirtualAsset(
     assetContract,
     assetId,
     assetType,
     metadata,
-    signer
+    signer,
+    options = {}
   ) {
     this.ensureInitialized();
     
-    try {
-      const tx = await this.contracts.virtualAssetManager
-        .connect(signer)
-        .registerVirtualAsset(assetContract, assetId, assetType, metadata);
-      
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
-    } catch (error) {
-      throw new Error(`Failed to register virtual asset: ${error.message}`);
-    }
+    return this.executeWrite(
+      'register virtual asset',
+      'virtualAssetManager',
+      'registerVirtualAsset',
+      [assetContract, assetId, toAssetType(assetType), metadata],
+      signer,
+      options
+    );
   }
 
   /**
    * Create a governance proposal
+   * `proposalType` may be a ProposalType name; build `data` with sdk.proposals
    */
   async createProposal(
     proposalType,
     title,
     description,
     data,
-    signer
+    signer,
+    options = {}
   ) {
     this.ensureInitialized();
     
-    try {
-      const tx = await this.contracts.governanceDAO
-        .connect(signer)
-        .propose(proposalType, title, description, data);
-      
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
-    } catch (error) {
-      throw new Error(`Failed to create proposal: ${error.message}`);
-    }
+    // propose() is overloaded by the OpenZeppelin Governor base
+    return this.executeWrite(
+      'create proposal',
+      'governanceDAO',
+      'propose(uint8,string,string,bytes)',
+      [toProposalType(proposalType), title, description, data],
+      signer,
+      options
+    );
   }
 
   /**
    * Vote on a governance proposal
    */
-  async voteOnProposal(proposalId, support, reason = '', signer) {
+  async voteOnProposal(proposalId, support, reason = '', signer, options = {}) {
     this.ensureInitialized();
     
+    if (reason) {
+      return this.executeWrite(
+        'vote on proposal',
+        'governanceDAO',
+        'castVoteWithReason',
+        [proposalId, support, reason],
+        signer,
+        options
+      );
+    }
+    
+    return this.executeWrite(
+      'vote on proposal',
+      'governanceDAO',
+      'castVote',
+      [proposalId, support],
+      signer,
+      options
+    );
+  }
+
+  /**
+   * Delegate the signer's MetaLendToken voting power to `delegatee`
+   * Delegate to the signer's own address to vote directly
+   */
+  async delegate(delegatee, signer, options = {}) {
+    this.ensureInitialized();
+    
+    return this.executeWrite(
+      'delegate votes',
+      'metaLendToken',
+      'delegate',
+      [delegatee],
+      signer,
+      options
+    );
+  }
+
+  /**
+   * Send a state-changing call and parse its receipt
+   * With `simulate` nothing is sent; a preview of the call is returned instead.
+   * `getApprovals` lists the token approvals the call depends on.
+   * With `fees` settings (constructor or per call) the transaction and its
+   * approvals are priced by a fee strategy and replaced if they are not mined
+   * in time; `onTransactionEvent` follows them.
+   */
+  async executeWrite(action, contractName, method, args, signer, options = {}, getApprovals = null) {
+    const context = { contract: contractName, method, args };
+    // Approvals and the call itself share one nonce sequence per signer
+    const sender = this.nonces && !options.simulate ? this.nonces.connect(signer, { action }) : signer;
+    
     try {
-      let tx;
-      if (reason) {
-        tx = await this.contracts.governanceDAO
-          .connect(signer)
-          .castVoteWithReason(proposalId, support, reason);
-      } else {
-        tx = await this.contracts.governanceDAO
-          .connect(signer)
-          .castVote(proposalId, support);
+      const approvals = getApprovals && this.shouldEnsureApprovals(options)
+        ? await getApprovals()
+        : [];
+      
+      if (options.simulate) {
+        return await this.previewWrite(action, context, signer, approvals);
+      }
+      
+      // Approvals are priced and replaced like the call they unlock
+      const fees = options.fees ? (this.fees || new FeeManager(this.provider)).with(options.fees) : this.fees;
+      for (const approval of approvals) {
+        await this.ensureApproval(approval, sender, { ...options, feeManager: fees });
       }
       
-      const receipt = await tx.wait();
-      return this.parseTransactionReceipt(receipt);
+      const contract = this.contracts[contractName].connect(sender);
+      const receipt = fees
+        ? await fees.send(sender, await contract.populateTransaction[method](...args), options)
+        : await (await contract[method](...args)).wait();
+      const result = this.parseTransactionReceipt(receipt);
+      if (this.cache) {
+        await this.cache.invalidateEvents(result.events, result.blockNumber);
+      }
+      return result;
     } catch (error) {
-      throw new Error(`Failed to vote on proposal: ${error.message}`);
+      throw await this.wrapError(error, action, context);
     }
   }
 
+  /**
+   * Simulate a write: static call, gas estimate, expected events and return values
+   * Approvals that would be sent are listed rather than executed, so a call
+   * that depends on them is reported as failing until they are in place.
+   */
+  async previewWrite(action, context, signer, approvals = []) {
+    const preview = await this.simulator.simulate({
+      contract: this.contracts[context.contract],
+      method: context.method,
+      args: context.args,
+      signer,
+      parseLogs: (logs) => this.parseLogs(logs)
+    });
+    preview.contract = context.contract;
+    
+    const owner = await signer.getAddress();
+    preview.requiredApprovals = [];
+    for (const approval of approvals) {
+      if (!(await this.hasApproval(approval, owner))) {
+        preview.requiredApprovals.push({
+          ...approval,
+          tokenId: approval.tokenId?.toString(),
+          amount: approval.amount?.toString()
+        });
+      }
+    }
+    
+    if (preview.error) {
+      preview.error = await this.wrapError(preview.error, action, context);
+    }
+    
+    return preview;
+  }
+
   /**
    * Get protocol information
+   * `overrides.blockTag` reads at a past block; with a read cache the result
+   * is served from it when still current
    */
-  async getProtocolInfo() {
+  async getProtocolInfo(overrides = {}) {
     this.ensureInitialized();
     
     try {
-      const protocolInfo = await this.contracts.metaLend.getProtocolInfo();
-      return {
-        totalCollateralValue: protocolInfo.totalCollateralValue.toString(),
-        totalLoansOutstanding: protocolInfo.totalLoansOutstanding.toString(),
-        totalLiquidity: protocolInfo.totalLiquidity.toString(),
-        activeCollaterals: protocolInfo.activeCollaterals.toString(),
-        activeLoans: protocolInfo.activeLoans.toString()
-      };
+      return await this.cachedRead('getProtocolInfo', [], overrides, async (readOverrides) => {
+        const protocolInfo = await this.contracts.metaLend.getProtocolInfo(readOverrides);
+        return {
+          totalCollateralValue: protocolInfo.totalCollateralValue.toString(),
+          totalLoansOutstanding: protocolInfo.totalLoansOutstanding.toString(),
+          totalLiquidity: protocolInfo.totalLiquidity.toString(),
+          activeCollaterals: protocolInfo.activeCollaterals.toString(),
+          activeLoans: protocolInfo.activeLoans.toString()
+        };
+      });
     } catch (error) {
-      throw new Error(`Failed to get protocol info: ${error.message}`);
+      throw await this.wrapError(error, 'get protocol info', { contract: 'metaLend', method: 'getProtocolInfo', args: [] });
     }
   }
 
   /**
    * Get user's collateral positions
+   * With an EnhancedCollateralManager each entry also carries its asset type,
+   * virtual asset id and scores; these are null on the basic manager
    */
-  async getUserCollaterals(userAddress) {
+  async getUserCollaterals(userAddress, overrides = {}) {
     this.ensureInitialized();
     
     try {
-      const collateralIds = await this.contracts.metaLend.getUserCollaterals(userAddress);
-      const collaterals = [];
-      
-      for (const collateralId of collateralIds) {
-        const collateralInfo = await this.contracts.metaLend.getCollateralInfo(collateralId);
-        collaterals.push({
-          id: collateralId.toString(),
-          nftContract: collateralInfo.nftContract,
-          tokenId: collateralInfo.tokenId.toString(),
-          collateralValue: collateralInfo.collateralValue.toString(),
-          liquidationThreshold: collateralInfo.liquidationThreshold.toString(),
-          isActive: collateralInfo.isActive,
-          timestamp: collateralInfo.timestamp.toString()
+      return await this.cachedRead('getUserCollaterals', [userAddress], overrides, async (readOverrides) => {
+        const collateralIds = await this.contracts.metaLend.getUserCollaterals(userAddress, readOverrides);
+        
+        if (this.isEnhancedCollateralManager()) {
+          const enhancedInfos = await this.multicall.all(
+            collateralIds.map((collateralId) => ({
+              contract: this.contracts.collateralManager,
+              method: 'getEnhancedCollateralInfo',
+              args: [collateralId]
+            })),
+            readOverrides
+          );
+          return collateralIds.map((collateralId, index) => formatEnhancedCollateral(collateralId, enhancedInfos[index]));
+        }
+        
+        const collateralInfos = await this.multicall.all(
+          collateralIds.map((collateralId) => ({
+            contract: this.contracts.metaLend,
+            method: 'getCollateralInfo',
+            args: [collateralId]
+          })),
+          readOverrides
+        );
+        
+        return collateralIds.map((collateralId, index) => {
+          const collateralInfo = collateralInfos[index];
+          return {
+            id: collateralId.toString(),
+            nftContract: collateralInfo.nftContract,
+            tokenId: collateralInfo.tokenId.toString(),
+            collateralValue: collateralInfo.collateralValue.toString(),
+            liquidationThreshold: collateralInfo.liquidationThreshold.toString(),
+            isActive: collateralInfo.isActive,
+            timestamp: collateralInfo.timestamp.toString(),
+            assetType: null,
+            assetTypeName: null,
+            virtualAssetId: null,
+            rarityScore: null,
+            utilityScore: null
+          };
         });
-      }
-      
-      return collaterals;
+      });
     } catch (error) {
-      throw new Error(`Failed to get user collaterals: ${error.message}`);
+      throw await this.wrapError(error, 'get user collaterals', { contract: 'metaLend', method: 'getUserCollaterals', args: [userAddress] });
     }
   }
 
+  /**
+   * Whether the deployment uses EnhancedCollateralManager; when it does,
+   * sdk.enhancedCollateral exposes the virtual-asset collateral operations
+   */
+  isEnhancedCollateralManager() {
+    return this.collateralManagerType === COLLATERAL_MANAGER_TYPES.ENHANCED;
+  }
+
   /**
    * Get user's loan positions
    */
-  async getUserLoans(userAddress) {
+  async getUserLoans(userAddress, overrides = {}) {
     this.ensureInitialized();
     
     try {
-      const loanIds = await this.contracts.metaLend.getUserLoans(userAddress);
-      const loans = [];
-      
-      for (const loanId of loanIds) {
-        const loanInfo = await this.contracts.metaLend.getLoanInfo(loanId);
-        loans.push({
-          id: loanId.toString(),
-          borrower: loanInfo.borrower,
-          collateralId: loanInfo.collateralId.toString(),
-          principalAmount: loanInfo.principalAmount.toString(),
-          interestRate: loanInfo.interestRate.toString(),
-          startTime: loanInfo.startTime.toString(),
-          maturityTime: loanInfo.maturityTime.toString(),
-          isActive: loanInfo.isActive,
-          totalRepaid: loanInfo.totalRepaid.toString()
+      return await this.cachedRead('getUserLoans', [userAddress], overrides, async (readOverrides) => {
+        const loanIds = await this.contracts.metaLend.getUserLoans(userAddress, readOverrides);
+        const loanInfos = await this.multicall.all(
+          loanIds.map((loanId) => ({
+            contract: this.contracts.metaLend,
+            method: 'getLoanInfo',
+            args: [loanId]
+          })),
+          readOverrides
+        );
+        
+        return loanIds.map((loanId, index) => {
+          const loanInfo = loanInfos[index];
+          return {
+            id: loanId.toString(),
+            borrower: loanInfo.borrower,
+            collateralId: loanInfo.collateralId.toString(),
+            principalAmount: loanInfo.principalAmount.toString(),
+            interestRate: loanInfo.interestRate.toString(),
+            startTime: loanInfo.startTime.toString(),
+            maturityTime: loanInfo.maturityTime.toString(),
+            isActive: loanInfo.isActive,
+            totalRepaid: loanInfo.totalRepaid.toString()
+          };
         });
-      }
-      
-      return loans;
+      });
     } catch (error) {
-      throw new Error(`Failed to get user loans: ${error.message}`);
+      throw await this.wrapError(error, 'get user loans', { contract: 'metaLend', method: 'getUserLoans', args: [userAddress] });
     }
   }
 
   /**
    * Get pool information
    */
-  async getPoolInfo() {
+  async getPoolInfo(overrides = {}) {
     this.ensureInitialized();
     
     try {
-      const poolInfo = await this.contracts.metaLend.getPoolInfo();
-      return {
-        asset: poolInfo.asset,
-        totalLiquidity: poolInfo.totalLiquidity.toString(),
-        totalBorrowed: poolInfo.totalBorrowed.toString(),
-        utilizationRate: poolInfo.utilizationRate.toString(),
-        baseInterestRate: poolInfo.baseInterestRate.toString(),
-        reserveFactor: poolInfo.reserveFactor.toString()
-      };
+      return await this.cachedRead('getPoolInfo', [], overrides, async (readOverrides) => {
+        const poolInfo = await this.contracts.metaLend.getPoolInfo(readOverrides);
+        return {
+          asset: poolInfo.asset,
+          totalLiquidity: poolInfo.totalLiquidity.toString(),
+          totalBorrowed: poolInfo.totalBorrowed.toString(),
+          utilizationRate: poolInfo.utilizationRate.toString(),
+          baseInterestRate: poolInfo.baseInterestRate.toString(),
+          reserveFactor: poolInfo.reserveFactor.toString()
+        };
+      });
     } catch (error) {
-      throw new Error(`Failed to get pool info: ${error.message}`);
+      throw await this.wrapError(error, 'get pool info', { contract: 'metaLend', method: 'getPoolInfo', args: [] });
     }
   }
 
+  /**
+   * Run a view read through the read cache when one is configured
+   */
+  cachedRead(method, args, overrides, loader) {
+    return this.cache ? this.cache.read(method, args, loader, overrides) : loader(overrides);
+  }
+
   /**
    * Calculate loan interest
    */
@@ -343,7 +675,7 @@ class MetaLendSDK {
       const interest = await this.contracts.metaLend.calculateLoanInterest(loanId);
       return interest.toString();
     } catch (error) {
-      throw new Error(`Failed to calculate loan interest: ${error.message}`);
+      throw await this.wrapError(error, 'calculate loan interest', { contract: 'metaLend', method: 'calculateLoanInterest', args: [loanId] });
     }
   }
 
@@ -356,7 +688,7 @@ class MetaLendSDK {
     try {
       return await this.contracts.metaLend.isCollateralHealthy(collateralId);
     } catch (error) {
-      throw new Error(`Failed to check collateral health: ${error.message}`);
+      throw await this.wrapError(error, 'check collateral health', { contract: 'metaLend', method: 'isCollateralHealthy', args: [collateralId] });
     }
   }
 
@@ -369,7 +701,93 @@ class MetaLendSDK {
     try {
       return await this.contracts.metaLend.isLoanHealthy(loanId);
     } catch (error) {
-      throw new Error(`Failed to check loan health: ${error.message}`);
+      throw await this.wrapError(error, 'check loan health', { contract: 'metaLend', method: 'isLoanHealthy', args: [loanId] });
+    }
+  }
+
+  /**
+   * Quote a borrow against an NFT without sending anything
+   * Returns the rate, maximum borrowable amount and projected interest, or
+   * `eligible: false` with the exact revert reason the borrow would hit.
+   * The lending asset defaults to the LoanPool asset; pass `{ asset }` to check another.
+   */
+  async quoteBorrow(nftContract, tokenId, amount, duration, options = {}) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.quoter.quoteBorrow(nftContract, tokenId, amount, duration, options);
+    } catch (error) {
+      throw await this.wrapError(error, 'quote borrow', { contract: 'metaLend', method: 'depositCollateralAndBorrow', args: [nftContract, tokenId, amount, duration] });
+    }
+  }
+
+  /**
+   * Get a loan's health factor, LTV, liquidation price and time to maturity
+   * All values are read at the same block
+   */
+  async getPositionHealth(loanId) {
+    this.ensureInitialized();
+    
+    try {
+      const [health] = await this.health.getPositionHealth([loanId]);
+      return health;
+    } catch (error) {
+      throw await this.wrapError(error, 'get position health', { contract: 'loanPool', method: 'getLoanInfo', args: [loanId] });
+    }
+  }
+
+  /**
+   * Get the health of every loan a user has taken, read at the same block
+   */
+  async getUserPositionHealth(userAddress, { activeOnly = false } = {}) {
+    this.ensureInitialized();
+    
+    try {
+      const loanIds = await this.contracts.metaLend.getUserLoans(userAddress);
+      const positions = await this.health.getPositionHealth(loanIds);
+      return activeOnly ? positions.filter((position) => position.isActive) : positions;
+    } catch (error) {
+      throw await this.wrapError(error, 'get user position health', { contract: 'metaLend', method: 'getUserLoans', args: [userAddress] });
+    }
+  }
+
+  /**
+   * Get an LP's shares, their underlying value and the amount withdrawable now
+   */
+  async getLiquidityPosition(providerAddress) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.liquidity.getPosition(providerAddress);
+    } catch (error) {
+      throw await this.wrapError(error, 'get liquidity position', { contract: 'loanPool', method: 'liquidityShares', args: [providerAddress] });
+    }
+  }
+
+  /**
+   * Get an LP's deposit and withdrawal history from LoanPool events
+   * Options: fromBlock, toBlock, maxBlockRange
+   */
+  async getLiquidityHistory(providerAddress, options = {}) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.liquidity.getHistory(providerAddress, options);
+    } catch (error) {
+      throw await this.wrapError(error, 'get liquidity history', { contract: 'loanPool', method: 'queryFilter', args: [providerAddress] });
+    }
+  }
+
+  /**
+   * Get an LP's realized APY and the APY implied by current utilization, in basis points
+   */
+  async getLiquidityAPY(providerAddress, options = {}) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.liquidity.getAPY(providerAddress, options);
+    } catch (error) {
+      throw await this.wrapError(error, 'get liquidity APY', { contract: 'loanPool', method: 'getPoolInfo', args: [providerAddress] });
     }
   }
 
@@ -385,6 +803,7 @@ class MetaLendSDK {
         id: proposal.id.toString(),
         proposer: proposal.proposer,
         proposalType: proposal.proposalType.toString(),
+        proposalTypeName: proposalTypeName(proposal.proposalType),
         title: proposal.title,
         description: proposal.description,
         startTime: proposal.startTime.toString(),
@@ -393,13 +812,50 @@ class MetaLendSDK {
         againstVotes: proposal.againstVotes.toString(),
         abstainVotes: proposal.abstainVotes.toString(),
         status: proposal.status.toString(),
+        statusName: PROPOSAL_STATUSES[proposal.status],
+        data: proposal.calldata,
         timestamp: proposal.timestamp.toString()
       };
     } catch (error) {
-      throw new Error(`Failed to get proposal: ${error.message}`);
+      throw await this.wrapError(error, 'get proposal', { contract: 'governanceDAO', method: 'getProposal', args: [proposalId] });
     }
   }
 
+  /**
+   * Get a proposal with its data decoded into calls and a readable summary
+   */
+  async describeProposal(proposalId) {
+    const proposal = await this.getProposal(proposalId);
+    return {
+      ...proposal,
+      actions: this.proposals.decode(proposal.proposalType, proposal.data)
+    };
+  }
+
+  /**
+   * Track a proposal's lifecycle: timeline, quorum progress and state transitions
+   * The returned tracker holds the current `snapshot` and emits 'transition',
+   * 'votes' and 'error' as new blocks arrive, and 'stop' once it stops watching.
+   * It stops by itself on a final state; pass `{ watch: false }` for a one-off
+   * snapshot, or stop watching earlier with sdk.off(tracker).
+   */
+  async trackProposal(proposalId, options = {}) {
+    this.ensureInitialized();
+    
+    const tracker = new ProposalTracker(this.provider, this.contracts, this.multicall, proposalId, options);
+    try {
+      await tracker.start();
+    } catch (error) {
+      throw await this.wrapError(error, 'track proposal', { contract: 'governanceDAO', method: 'getProposal', args: [proposalId] });
+    }
+    
+    if (tracker.active) {
+      this.subscriptions.add(tracker);
+      tracker.on('stop', () => this.subscriptions.delete(tracker));
+    }
+    return tracker;
+  }
+
   /**
    * Get user's voting power
    */
@@ -410,7 +866,118 @@ class MetaLendSDK {
       const votingPower = await this.contracts.governanceDAO.getVotingPower(userAddress);
       return votingPower.toString();
     } catch (error) {
-      throw new Error(`Failed to get voting power: ${error.message}`);
+      throw await this.wrapError(error, 'get voting power', { contract: 'governanceDAO', method: 'getVotingPower', args: [userAddress] });
+    }
+  }
+
+  /**
+   * Get the address an account currently delegates its voting power to
+   */
+  async getDelegate(userAddress) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.contracts.metaLendToken.delegates(userAddress);
+    } catch (error) {
+      throw await this.wrapError(error, 'get delegate', { contract: 'metaLendToken', method: 'delegates', args: [userAddress] });
+    }
+  }
+
+  /**
+   * Get an account's voting power at a past block
+   */
+  async getVotes(userAddress, blockNumber) {
+    this.ensureInitialized();
+    
+    try {
+      const votes = await this.contracts.governanceDAO.getVotes(userAddress, blockNumber);
+      return votes.toString();
+    } catch (error) {
+      throw await this.wrapError(error, 'get votes', { contract: 'governanceDAO', method: 'getVotes', args: [userAddress, blockNumber] });
+    }
+  }
+
+  /**
+   * List the accounts delegating to `delegate`, with delegation and vote change history
+   * Options: fromBlock, toBlock, maxBlockRange
+   */
+  async getDelegators(delegate, options = {}) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.votingPower.getDelegators(delegate, options);
+    } catch (error) {
+      throw await this.wrapError(error, 'get delegators', { contract: 'metaLendToken', method: 'delegates', args: [delegate] });
+    }
+  }
+
+  /**
+   * Chart an account's voting power over blocks from its ERC20Votes checkpoints
+   * Options: fromBlock, toBlock, points (sample count), withTimestamps
+   */
+  async getVotingPowerHistory(userAddress, options = {}) {
+    this.ensureInitialized();
+    
+    try {
+      return await this.votingPower.getVotingPowerHistory(userAddress, options);
+    } catch (error) {
+      throw await this.wrapError(error, 'get voting power history', { contract: 'metaLendToken', method: 'checkpoints', args: [userAddress] });
+    }
+  }
+
+  /**
+   * Subscribe to a protocol event on every contract that emits it
+   * `filter` maps event argument names to a value (or array of values).
+   * Options: confirmations, fromBlock, reorgWindow, cursorKey, cursorStore, onError.
+   * The handler is called again with `removed: true` if a reorg drops an event.
+   */
+  async on(eventName, filter, handler, options = {}) {
+    this.ensureInitialized();
+    
+    if (typeof filter === 'function') {
+      options = handler || {};
+      handler = filter;
+      filter = {};
+    }
+    
+    const sources = resolveEventSources(this.contracts, eventName, filter);
+    if (sources.length === 0) {
+      throw new InvalidParameterError(`Unknown MetaLend event: ${eventName}`);
+    }
+    
+    const subscription = new EventSubscription(this.provider, {
+      eventName,
+      sources,
+      filter,
+      handler,
+      confirmations: options.confirmations ?? this.options.confirmations,
+      reorgWindow: options.reorgWindow,
+      maxBlockRange: options.maxBlockRange,
+      fromBlock: options.fromBlock,
+      cursorKey: options.cursorKey || `${this.network}:${eventName}:${JSON.stringify(filter)}`,
+      cursorStore: options.cursorStore || this.cursorStore,
+      onError: options.onError
+    });
+    
+    this.subscriptions.add(subscription);
+    await subscription.start();
+    return subscription;
+  }
+
+  /**
+   * Stop an event subscription returned by on() or a tracker from trackProposal()
+   */
+  off(subscription) {
+    subscription.stop();
+    this.subscriptions.delete(subscription);
+  }
+
+  /**
+   * Stop every event subscription
+   */
+  removeAllListeners() {
+    for (const subscription of this.subscriptions) {
+      this.off(subscription);
     }
   }
 
@@ -418,9 +985,21 @@ class MetaLendSDK {
    * Parse transaction receipt for events
    */
   parseTransactionReceipt(receipt) {
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      events: this.parseLogs(receipt.logs)
+    };
+  }
+
+  /**
+   * Decode raw logs against the protocol contract ABIs
+   */
+  parseLogs(logs) {
     const events = [];
     
-    for (const log of receipt.logs) {
+    for (const log of logs) {
       try {
         const event = this.contracts.metaLend.interface.parseLog(log);
         events.push({
@@ -445,12 +1024,70 @@ class MetaLendSDK {
       }
     }
     
-    return {
-      transactionHash: receipt.transactionHash,
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString(),
-      events: events
-    };
+    return events;
+  }
+
+  /**
+   * Check a single approval descriptor without sending anything
+   */
+  async hasApproval(approval, owner) {
+    if (approval.type === 'erc721') {
+      return this.approvals.hasERC721Approval(approval.token, approval.tokenId, owner, approval.spender);
+    }
+    if (approval.type === 'erc1155') {
+      return this.approvals.hasERC1155Approval(approval.token, owner, approval.spender);
+    }
+    return this.approvals.hasERC20Allowance(approval.token, approval.amount, owner, approval.spender);
+  }
+
+  /**
+   * Send a single approval descriptor if it is not already in place
+   */
+  async ensureApproval(approval, signer, options) {
+    if (approval.type === 'erc721') {
+      return this.approvals.ensureERC721Approval(approval.token, approval.tokenId, approval.spender, signer, options);
+    }
+    if (approval.type === 'erc1155') {
+      return this.approvals.ensureERC1155Approval(approval.token, approval.spender, signer, options);
+    }
+    return this.approvals.ensureERC20Allowance(approval.token, approval.amount, approval.spender, signer, options);
+  }
+
+  /**
+   * Approvals are opt-in per call, or for every call via the constructor options
+   */
+  shouldEnsureApprovals(options) {
+    return options.ensureApprovals ?? Boolean(this.options.ensureApprovals);
+  }
+
+  /**
+   * Convert a failed call into a typed MetaLendError
+   * Mined transactions that reverted carry no reason, so they are replayed
+   * with eth_call at their block to recover the revert data
+   */
+  async wrapError(error, action, context = {}) {
+    const interfaces = Object.values(this.contracts).map((contract) => contract.interface);
+    if (context.contract && this.contracts[context.contract]) {
+      context = { ...context, address: this.contracts[context.contract].address };
+    }
+    const wrapped = toMetaLendError(error, action, context, interfaces);
+    
+    if (wrapped.reason || !error.transaction || !error.receipt) {
+      return wrapped;
+    }
+    
+    const { transaction, receipt } = error;
+    try {
+      await this.provider.call(
+        { from: transaction.from, to: transaction.to, data: transaction.data, value: transaction.value },
+        receipt.blockNumber
+      );
+    } catch (replayError) {
+      replayError.transactionHash = receipt.transactionHash;
+      return toMetaLendError(replayError, action, context, interfaces);
+    }
+    
+    return wrapped;
   }
 
   /**
@@ -458,7 +1095,7 @@ class MetaLendSDK {
    */
   ensureInitialized() {
     if (!this.initialized) {
-      throw new Error('MetaLend SDK not initialized. Call initialize() first.');
+      throw new MetaLendError('MetaLend SDK not initialized. Call initialize() first.');
     }
   }
 
@@ -470,6 +1107,67 @@ class MetaLendSDK {
     return this.contracts[contractName];
   }
 
+  /**
+   * GamingAssets module for any collection address
+   */
+  getGamingAssets(address) {
+    this.ensureInitialized();
+    const contractName = this.attachContract('gamingAssets', address);
+    return contractName === 'gamingAssets' ? this.gamingAssets : new GamingAssetsModule(this, contractName);
+  }
+
+  /**
+   * VirtualRealEstate module for any collection address
+   */
+  getVirtualRealEstate(address) {
+    this.ensureInitialized();
+    const contractName = this.attachContract('virtualRealEstate', address);
+    return contractName === 'virtualRealEstate' ? this.realEstate : new RealEstateModule(this, contractName);
+  }
+
+  /**
+   * MultisigWallet client for any wallet address
+   */
+  getMultisig(address) {
+    this.ensureInitialized();
+    const contractName = this.attachContract('multisigWallet', address);
+    return contractName === 'multisigWallet' ? this.multisig : new MultisigClient(this, contractName);
+  }
+
+  /**
+   * TimelockController client for any timelock address
+   */
+  getTimelock(address) {
+    this.ensureInitialized();
+    const contractName = this.attachContract('timelockController', address);
+    return contractName === 'timelockController' ? this.timelock : new TimelockClient(this, contractName);
+  }
+
+  /**
+   * Contracts key for another instance of a known contract, adding it to the
+   * SDK contracts so its events and reverts decode like the configured ones
+   */
+  attachContract(abiName, address) {
+    const configured = this.contracts[abiName];
+    if (configured && configured.address.toLowerCase() === address.toLowerCase()) {
+      return abiName;
+    }
+    
+    const contractName = `${abiName}:${ethers.utils.getAddress(address)}`;
+    if (!this.contracts[contractName]) {
+      this.contracts[contractName] = new ethers.Contract(address, this.abis[abiName], this.provider);
+    }
+    return contractName;
+  }
+
+  /**
+   * Read several view functions in as few RPC round trips as possible
+   */
+  async batchRead(calls, overrides = {}) {
+    this.ensureInitialized();
+    return this.multicall.all(calls, overrides);
+  }
+
   /**
    * Get all contract instances
    */
@@ -479,4 +1177,10 @@ class MetaLendSDK {
   }
 }
 
+export * from './errors.js';
+export { default as AddressRegistry, NETWORKS } from './AddressRegistry.js';
+export { default as NonceManager, TRANSACTION_STATUSES } from './Nonces.js';
+export { default as MultiRpcProvider, isTransportError } from './Providers.js';
+export { default as FeeManager, FEE_STRATEGIES, TIMEOUT_ACTIONS, TRANSACTION_EVENTS, createFeeStrategy } from './Fees.js';
+export { default as ReadCache, MemoryCacheStore, DEFAULT_INVALIDATIONS } from './Cache.js';
 export default MetaLendSDK;
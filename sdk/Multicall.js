@@ -0,0 +1,146 @@
+/**
+ * Batched read layer for the MetaLend SDK
+ * Aggregates view calls through Multicall3, or runs them in parallel when no
+ * multicall contract is available on the network
+ */
+
+import { ethers } from 'ethers';
+
+// Multicall3 is deployed at the same address on every supported public network
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+export const MULTICALL_ADDRESSES = {
+  mainnet: MULTICALL3_ADDRESS,
+  arbitrum: MULTICALL3_ADDRESS,
+  optimism: MULTICALL3_ADDRESS
+};
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)'
+];
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Map over items with at most `limit` mapper calls in flight
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+class Multicall {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.address = options.address || null;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.contract = this.address
+      ? new ethers.Contract(this.address, MULTICALL3_ABI, provider)
+      : null;
+  }
+
+  /**
+   * Whether reads are aggregated on-chain or sent as individual calls
+   */
+  isBatched() {
+    return this.contract !== null;
+  }
+
+  /**
+   * Execute view calls and return their decoded results in call order
+   * Each call is { contract, method, args, allowFailure }. A failed call with
+   * allowFailure set resolves to null instead of rejecting the whole batch.
+   */
+  async all(calls, overrides = {}) {
+    if (calls.length === 0) {
+      return [];
+    }
+
+    if (!this.contract) {
+      return this.callInParallel(calls, overrides);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < calls.length; i += this.batchSize) {
+      chunks.push(calls.slice(i, i + this.batchSize));
+    }
+
+    const results = await mapWithConcurrency(
+      chunks,
+      this.concurrency,
+      (chunk) => this.aggregate(chunk, overrides)
+    );
+    return results.flat();
+  }
+
+  /**
+   * Send one chunk of calls through Multicall3.aggregate3
+   */
+  async aggregate(calls, overrides) {
+    const requests = calls.map((call) => ({
+      target: call.contract.address,
+      allowFailure: true,
+      callData: call.contract.interface.encodeFunctionData(call.method, call.args || [])
+    }));
+
+    const responses = await this.contract.callStatic.aggregate3(requests, overrides);
+
+    return responses.map((response, index) => {
+      const call = calls[index];
+
+      if (!response.success) {
+        if (call.allowFailure) {
+          return null;
+        }
+        const error = new Error(`Multicall to ${call.method} reverted`);
+        error.data = response.returnData;
+        throw error;
+      }
+
+      let decoded;
+      try {
+        decoded = call.contract.interface.decodeFunctionResult(call.method, response.returnData);
+      } catch (error) {
+        // A call to an account without code succeeds with empty return data
+        if (call.allowFailure) {
+          return null;
+        }
+        throw error;
+      }
+      // Match ethers' behaviour of unwrapping single return values
+      return decoded.length === 1 ? decoded[0] : decoded;
+    });
+  }
+
+  /**
+   * Fallback for networks without a multicall contract
+   */
+  async callInParallel(calls, overrides) {
+    return mapWithConcurrency(calls, this.concurrency, async (call) => {
+      try {
+        return await call.contract[call.method](...(call.args || []), overrides);
+      } catch (error) {
+        if (call.allowFailure) {
+          return null;
+        }
+        throw error;
+      }
+    });
+  }
+}
+
+export default Multicall;
@@ -0,0 +1,160 @@
+/**
+ * MultisigWallet client for the MetaLend SDK
+ * Wraps protocol admin calls as multisig submissions, lists pending
+ * transactions with decoded calldata and confirmations, and lets each owner
+ * confirm, revoke or execute
+ */
+
+import { ethers } from 'ethers';
+import { describeCall } from './Proposals.js';
+import { InvalidParameterError, NotFoundError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+/**
+ * Works with the MultisigWallet under `contractName` in sdk.contracts; use
+ * sdk.getMultisig(address) for a wallet other than the configured one
+ */
+class MultisigClient extends SdkModule {
+  /**
+   * Encode a call to an SDK contract (by name) or any address with its ABI
+   * `target` is a contract name such as 'metaLend' or 'nftOracle', or
+   * { address, abi } for contracts the SDK does not know
+   */
+  encodeCall(target, method, args = [], value = 0) {
+    const contract = typeof target === 'string'
+      ? this.sdk.contracts[target]
+      : new ethers.Contract(target.address, target.abi);
+    if (!contract) {
+      throw new InvalidParameterError(`Unknown contract: ${target}`);
+    }
+
+    const data = contract.interface.encodeFunctionData(method, args);
+    return {
+      to: contract.address,
+      value: ethers.BigNumber.from(value),
+      data,
+      ...this.decode(contract.address, value, data)
+    };
+  }
+
+  /**
+   * Submit an admin call for the other owners to confirm, e.g.
+   * submit('metaLend', 'setProtocolFee', [300], signer)
+   * The result carries the new `txIndex` and the decoded call
+   */
+  async submit(target, method, args, signer, options = {}) {
+    const { value = 0, ...writeOptions } = options;
+    const call = this.encodeCall(target, method, args, value);
+    const result = await this.submitTransaction(call.to, call.value, call.data, signer, writeOptions);
+    return { ...result, call };
+  }
+
+  /**
+   * Submit a raw transaction; `txIndex` is read from the SubmitTransaction event
+   */
+  async submitTransaction(to, value, data, signer, options = {}) {
+    const result = await this.write('submit multisig transaction', 'submitTransaction', [to, value, data], signer, options);
+    const submitted = (result.events || []).find((event) => event.name === 'SubmitTransaction');
+    return submitted ? { ...result, txIndex: submitted.args.txIndex.toString() } : result;
+  }
+
+  /**
+   * A transaction with its decoded call and who has confirmed it
+   */
+  async getTransaction(txIndex) {
+    return this.read('get multisig transaction', 'getTransaction', [txIndex], async () => {
+      const [owners, required, count] = await this.readWalletInfo();
+      if (ethers.BigNumber.from(txIndex).gte(count)) {
+        throw new NotFoundError(`Multisig transaction ${txIndex} does not exist`);
+      }
+      const [transaction] = await this.readTransactions([Number(txIndex)], owners, required);
+      return transaction;
+    });
+  }
+
+  /**
+   * Unexecuted transactions, newest first; `includeExecuted` lists all of them
+   */
+  async getPendingTransactions({ includeExecuted = false } = {}) {
+    return this.read('get pending multisig transactions', 'getTransaction', [], async () => {
+      const [owners, required, count] = await this.readWalletInfo();
+      const indexes = Array.from({ length: Number(count) }, (_, index) => index);
+      const transactions = await this.readTransactions(indexes, owners, required);
+      return transactions
+        .filter((transaction) => includeExecuted || !transaction.executed)
+        .reverse();
+    });
+  }
+
+  /**
+   * Owners and the number of confirmations a transaction needs
+   */
+  async getOwners() {
+    return this.read('get multisig owners', 'getOwners', [], async () => {
+      const [owners, required] = await this.readWalletInfo();
+      return { owners, required: Number(required) };
+    });
+  }
+
+  async confirmTransaction(txIndex, signer, options = {}) {
+    return this.write('confirm multisig transaction', 'confirmTransaction', [txIndex], signer, options);
+  }
+
+  async revokeConfirmation(txIndex, signer, options = {}) {
+    return this.write('revoke multisig confirmation', 'revokeConfirmation', [txIndex], signer, options);
+  }
+
+  /**
+   * Execute once enough owners have confirmed; the wallet reverts with
+   * "tx failed" when the wrapped call itself reverts
+   */
+  async executeTransaction(txIndex, signer, options = {}) {
+    return this.write('execute multisig transaction', 'executeTransaction', [txIndex], signer, options);
+  }
+
+  async readWalletInfo() {
+    return this.sdk.multicall.all([
+      { contract: this.contract, method: 'getOwners' },
+      { contract: this.contract, method: 'numConfirmationsRequired' },
+      { contract: this.contract, method: 'getTransactionCount' }
+    ]);
+  }
+
+  async readTransactions(indexes, owners, required) {
+    const reads = await this.sdk.multicall.all(indexes.flatMap((txIndex) => [
+      { contract: this.contract, method: 'getTransaction', args: [txIndex] },
+      ...owners.map((owner) => ({ contract: this.contract, method: 'isConfirmed', args: [txIndex, owner] }))
+    ]));
+
+    const stride = owners.length + 1;
+    return indexes.map((txIndex, index) => {
+      const [transaction, ...confirmed] = reads.slice(index * stride, (index + 1) * stride);
+      const numConfirmations = Number(transaction.numConfirmations);
+      return {
+        txIndex: String(txIndex),
+        to: transaction.to,
+        value: transaction.value.toString(),
+        data: transaction.data,
+        executed: transaction.executed,
+        numConfirmations,
+        required: Number(required),
+        confirmedBy: owners.filter((_, ownerIndex) => confirmed[ownerIndex]),
+        executable: !transaction.executed && numConfirmations >= Number(required),
+        ...this.decode(transaction.to, transaction.value, transaction.data)
+      };
+    });
+  }
+
+  /**
+   * Decoded call and a one-line description, using the target's SDK ABI
+   */
+  decode(to, value, data) {
+    const call = this.sdk.proposals.decodeCall(to, ethers.BigNumber.from(value), data);
+    return {
+      decoded: call.method ? { contract: call.targetName, method: call.method, signature: call.signature, args: call.args } : null,
+      description: describeCall(call)
+    };
+  }
+}
+
+export default MultisigClient;
@@ -0,0 +1,323 @@
+/**
+ * Nonce management for concurrent MetaLend SDK writes from one signer
+ * Assigns nonces one at a time per address, tracks in-flight transactions and
+ * reuses the nonces of transactions that were never broadcast or got dropped
+ */
+
+import { ethers } from 'ethers';
+
+// In-flight transactions older than this are checked for drops before the next nonce is assigned
+const DEFAULT_DROP_TIMEOUT = 3 * 60 * 1000; // 3 minutes
+
+// Settled transactions beyond this many are forgotten, oldest first
+const MAX_TRACKED_TRANSACTIONS = 1000;
+
+export const TRANSACTION_STATUSES = {
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  MINED: 'mined',
+  FAILED: 'failed',
+  REPLACED: 'replaced',
+  DROPPED: 'dropped'
+};
+
+// Send errors after which the node's nonce is re-read and the send retried once
+const NONCE_ERRORS = [ethers.errors.NONCE_EXPIRED, ethers.errors.REPLACEMENT_UNDERPRICED];
+
+/**
+ * Signer whose transactions take their nonce from a NonceManager
+ * Everything else, including typed-data signatures for permits, is delegated
+ */
+export class ManagedSigner extends ethers.Signer {
+  constructor(manager, signer, meta = {}) {
+    super();
+    ethers.utils.defineReadOnly(this, 'provider', signer.provider);
+    this.manager = manager;
+    this.signer = signer;
+    this.meta = meta;
+  }
+
+  getAddress() {
+    return this.signer.getAddress();
+  }
+
+  signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  signTransaction(transaction) {
+    return this.signer.signTransaction(transaction);
+  }
+
+  _signTypedData(domain, types, value) {
+    return this.signer._signTypedData(domain, types, value);
+  }
+
+  connect(provider) {
+    return new ManagedSigner(this.manager, this.signer.connect(provider), this.meta);
+  }
+
+  sendTransaction(transaction) {
+    return this.manager.sendTransaction(this.signer, transaction, this.meta);
+  }
+}
+
+class NonceManager {
+  constructor(provider, { dropTimeout = DEFAULT_DROP_TIMEOUT } = {}) {
+    this.provider = provider;
+    this.dropTimeout = dropTimeout;
+    this.accounts = new Map();
+    this.transactions = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Wrap a signer so every transaction it sends goes through this manager
+   * `meta` (e.g. { action }) is stored with each transaction's status
+   */
+  connect(signer, meta = {}) {
+    if (signer instanceof ManagedSigner) {
+      return new ManagedSigner(this, signer.signer, { ...signer.meta, ...meta });
+    }
+    return new ManagedSigner(this, signer, meta);
+  }
+
+  /**
+   * Send a transaction with the next nonce for the signer's address
+   * Sends from one address are serialized up to the broadcast; the returned
+   * response's wait() keeps the transaction's status up to date. A transaction
+   * with an explicit nonce (a replacement) is sent as is and tracked.
+   */
+  async sendTransaction(signer, transaction, meta = {}) {
+    const address = ethers.utils.getAddress(await signer.getAddress());
+    const account = this.account(address);
+    const entry = this.track({ address, nonce: null, hash: null, status: TRANSACTION_STATUSES.QUEUED, ...meta });
+    account.queued++;
+
+    return this.serialize(account, async () => {
+      account.queued--;
+      try {
+        return await this.broadcast(account, signer, transaction, entry);
+      } catch (error) {
+        entry.status = TRANSACTION_STATUSES.FAILED;
+        entry.error = error;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Check in-flight transactions against the chain
+   * A nonce the chain has moved past without our receipt means the transaction
+   * was replaced; a pending one the node no longer knows was dropped, and its
+   * nonce is reused by the next send.
+   */
+  async reconcile(address) {
+    const account = this.account(ethers.utils.getAddress(address));
+    return this.serialize(account, () => this.reconcileAccount(account));
+  }
+
+  /**
+   * Forget the local nonce and gaps; the next send starts from the node's pending count
+   */
+  reset(address) {
+    const account = this.account(ethers.utils.getAddress(address));
+    account.next = null;
+    account.gaps = [];
+  }
+
+  /**
+   * Sends waiting for a nonce and transactions broadcast but not yet mined
+   */
+  getQueueDepth(address) {
+    const account = this.account(ethers.utils.getAddress(address));
+    const inFlight = this.inFlight(account.address).length;
+    return { queued: account.queued, inFlight, total: account.queued + inFlight };
+  }
+
+  /**
+   * Status of one transaction, by the id in its meta or its hash
+   */
+  getStatus(idOrHash) {
+    const entry = this.transactions.get(idOrHash) ||
+      [...this.transactions.values()].find((transaction) => transaction.hash === idOrHash);
+    return entry ? this.format(entry) : null;
+  }
+
+  /**
+   * Tracked transactions of an address, oldest first, optionally by status
+   */
+  getTransactions(address, { statuses } = {}) {
+    const checksum = ethers.utils.getAddress(address);
+    return [...this.transactions.values()]
+      .filter((entry) => entry.address === checksum && (!statuses || statuses.includes(entry.status)))
+      .map((entry) => this.format(entry));
+  }
+
+  async broadcast(account, signer, transaction, entry, retried = false) {
+    if (this.inFlight(account.address).some((inFlight) => Date.now() - inFlight.submittedAt > this.dropTimeout)) {
+      await this.reconcileAccount(account);
+    }
+
+    const explicit = transaction.nonce !== undefined && transaction.nonce !== null;
+    const nonce = explicit ? ethers.BigNumber.from(transaction.nonce).toNumber() : await this.nextNonce(account);
+    entry.nonce = nonce;
+
+    let response;
+    try {
+      response = await signer.sendTransaction({ ...transaction, nonce });
+    } catch (error) {
+      if (explicit) {
+        throw error;
+      }
+      if (!retried && NONCE_ERRORS.includes(error.code)) {
+        // A gap can be taken by another sender before the chain moves past it
+        account.next = null;
+        account.gaps = account.gaps.filter((gap) => gap !== nonce);
+        return this.broadcast(account, signer, transaction, entry, true);
+      }
+      throw error;
+    }
+
+    // Never lowered by a gap being filled or a replacement being sent
+    account.next = Math.max(account.next === null ? 0 : account.next, nonce + 1);
+    account.gaps = account.gaps.filter((gap) => gap !== nonce);
+
+    entry.hash = response.hash;
+    entry.status = TRANSACTION_STATUSES.SUBMITTED;
+    entry.submittedAt = Date.now();
+    this.trackWait(response, entry);
+    return response;
+  }
+
+  /**
+   * Lowest reusable gap, else the larger of the local and the node's pending nonce
+   * A nonce is only taken once its transaction is broadcast, so a failed send
+   * leaves it free for the next one
+   */
+  async nextNonce(account) {
+    const [latest, pending] = await Promise.all([
+      this.provider.getTransactionCount(account.address, 'latest'),
+      this.provider.getTransactionCount(account.address, 'pending')
+    ]);
+
+    account.gaps = account.gaps.filter((nonce) => nonce >= latest).sort((a, b) => a - b);
+    if (account.gaps.length > 0) {
+      return account.gaps[0];
+    }
+    return account.next === null ? pending : Math.max(account.next, pending);
+  }
+
+  async reconcileAccount(account) {
+    const latest = await this.provider.getTransactionCount(account.address, 'latest');
+
+    for (const entry of this.inFlight(account.address)) {
+      if (entry.nonce < latest) {
+        const receipt = await this.provider.getTransactionReceipt(entry.hash);
+        if (receipt) {
+          this.settle(entry, receipt);
+        } else {
+          entry.status = TRANSACTION_STATUSES.REPLACED;
+        }
+      } else if (!(await this.provider.getTransaction(entry.hash))) {
+        entry.status = TRANSACTION_STATUSES.DROPPED;
+        if (!account.gaps.includes(entry.nonce)) {
+          account.gaps.push(entry.nonce);
+        }
+      }
+    }
+
+    return this.getTransactions(account.address, {
+      statuses: [TRANSACTION_STATUSES.SUBMITTED, TRANSACTION_STATUSES.REPLACED, TRANSACTION_STATUSES.DROPPED]
+    });
+  }
+
+  /**
+   * Update the entry when the caller waits on the response
+   * ethers reports a same-nonce replacement as TRANSACTION_REPLACED; a
+   * repriced copy of our own transaction counts as mined
+   */
+  trackWait(response, entry) {
+    const wait = response.wait.bind(response);
+    response.wait = async (confirmations) => {
+      try {
+        const receipt = await wait(confirmations);
+        this.settle(entry, receipt);
+        return receipt;
+      } catch (error) {
+        if (error.code === ethers.errors.TRANSACTION_REPLACED) {
+          if (error.reason === 'repriced') {
+            entry.replacedBy = error.replacement.hash;
+            this.settle(entry, error.receipt);
+          } else {
+            entry.status = TRANSACTION_STATUSES.REPLACED;
+            entry.replacedBy = error.replacement.hash;
+          }
+        } else if (error.code === ethers.errors.CALL_EXCEPTION && error.receipt) {
+          this.settle(entry, error.receipt);
+        }
+        throw error;
+      }
+    };
+  }
+
+  settle(entry, receipt) {
+    entry.status = receipt.status === 0 ? TRANSACTION_STATUSES.FAILED : TRANSACTION_STATUSES.MINED;
+    entry.blockNumber = receipt.blockNumber;
+  }
+
+  inFlight(address) {
+    return [...this.transactions.values()].filter((entry) => (
+      entry.address === address && entry.status === TRANSACTION_STATUSES.SUBMITTED
+    ));
+  }
+
+  account(address) {
+    if (!this.accounts.has(address)) {
+      this.accounts.set(address, { address, next: null, gaps: [], queued: 0, lock: Promise.resolve() });
+    }
+    return this.accounts.get(address);
+  }
+
+  track(entry) {
+    const id = entry.id || String(++this.sequence);
+    const tracked = { ...entry, id };
+    this.transactions.set(id, tracked);
+
+    for (const [key, old] of this.transactions) {
+      if (this.transactions.size <= MAX_TRACKED_TRANSACTIONS) {
+        break;
+      }
+      if (old.status !== TRANSACTION_STATUSES.QUEUED && old.status !== TRANSACTION_STATUSES.SUBMITTED) {
+        this.transactions.delete(key);
+      }
+    }
+    return tracked;
+  }
+
+  /**
+   * Run `task` after every earlier task of the same address has settled
+   */
+  serialize(account, task) {
+    const run = account.lock.then(task);
+    account.lock = run.catch(() => {});
+    return run;
+  }
+
+  format(entry) {
+    return {
+      id: entry.id,
+      action: entry.action || null,
+      address: entry.address,
+      nonce: entry.nonce,
+      hash: entry.hash,
+      status: entry.status,
+      submittedAt: entry.submittedAt || null,
+      blockNumber: entry.blockNumber || null,
+      replacedBy: entry.replacedBy || null,
+      error: entry.error ? entry.error.message : null
+    };
+  }
+}
+
+export default NonceManager;
@@ -0,0 +1,272 @@
+/**
+ * MetaversePlatformManager integration module for the MetaLend SDK
+ * Onboards metaverse platforms, their assets and users, with chunked batch
+ * integration for large asset lists and an aggregate stats view
+ */
+
+import { ethers } from 'ethers';
+import { InvalidParameterError, InvalidStateError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+// MetaversePlatformManager.MAX_INTEGRATION_FEE, 10%
+const MAX_INTEGRATION_FEE = 1000;
+
+const DEFAULT_CHUNK_SIZE = 50;
+
+/**
+ * Format an IMetaversePlatform.PlatformInfo struct
+ */
+export function formatPlatform(platform) {
+  return {
+    name: platform.name,
+    version: platform.version,
+    platformContract: platform.platformContract,
+    isActive: platform.isActive,
+    integrationFee: platform.integrationFee.toString(),
+    totalAssets: platform.totalAssets.toString(),
+    totalUsers: platform.totalUsers.toString(),
+    timestamp: platform.timestamp.toString()
+  };
+}
+
+/**
+ * Format an IMetaversePlatform.AssetIntegration struct
+ */
+export function formatIntegration(integration) {
+  return {
+    assetContract: integration.assetContract,
+    assetId: integration.assetId.toString(),
+    platformAssetId: integration.platformAssetId,
+    isIntegrated: integration.isIntegrated,
+    platformValue: integration.platformValue.toString(),
+    lastSync: integration.lastSync.toString()
+  };
+}
+
+/**
+ * Format an IMetaversePlatform.UserProfile struct
+ */
+export function formatUserProfile(profile) {
+  return {
+    user: profile.user,
+    platformUserId: profile.platformUserId,
+    totalAssets: profile.totalAssets.toString(),
+    totalValue: profile.totalValue.toString(),
+    isVerified: profile.isVerified,
+    lastActivity: profile.lastActivity.toString()
+  };
+}
+
+/**
+ * Split a list into chunks of at most `size` entries
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+function assetKey(asset) {
+  return `${asset.assetContract.toLowerCase()}:${asset.assetId.toString()}`;
+}
+
+class PlatformModule extends SdkModule {
+  /**
+   * Writes that onboard assets and users must be signed by the platform
+   * account itself (the registered `platformContract`)
+   */
+  constructor(sdk) {
+    super(sdk, 'metaversePlatformManager');
+  }
+
+  async getPlatformInfo(platformContract) {
+    return this.read('get platform info', 'getPlatformInfo', [platformContract], async () => (
+      formatPlatform(await this.contract.getPlatformInfo(platformContract))
+    ));
+  }
+
+  async getAssetIntegration(assetContract, assetId) {
+    return this.read('get asset integration', 'getAssetIntegration', [assetContract, assetId], async () => (
+      formatIntegration(await this.contract.getAssetIntegration(assetContract, assetId))
+    ));
+  }
+
+  async getUserProfile(user) {
+    return this.read('get user profile', 'getUserProfile', [user], async () => (
+      formatUserProfile(await this.contract.getUserProfile(user))
+    ));
+  }
+
+  /**
+   * Protocol-wide integration stats with a per-platform breakdown
+   * Totals cover active platforms only, as getIntegrationStats counts them.
+   * `value` is calculatePlatformValue, which currently prices each asset at 1e18.
+   */
+  async getStats() {
+    return this.read('get integration stats', 'getIntegrationStats', [], async () => {
+      const block = await this.sdk.provider.getBlock('latest');
+      const overrides = { blockTag: block.number };
+
+      const [stats, platformContracts] = await this.sdk.multicall.all([
+        { contract: this.contract, method: 'getIntegrationStats' },
+        { contract: this.contract, method: 'getRegisteredPlatforms' }
+      ], overrides);
+
+      const reads = await this.sdk.multicall.all(platformContracts.flatMap((platformContract) => [
+        { contract: this.contract, method: 'getPlatformInfo', args: [platformContract] },
+        { contract: this.contract, method: 'getPlatformAssets', args: [platformContract] },
+        { contract: this.contract, method: 'getPlatformUsers', args: [platformContract] },
+        { contract: this.contract, method: 'calculatePlatformValue', args: [platformContract] }
+      ]), overrides);
+
+      const platforms = platformContracts.map((platformContract, index) => {
+        const [info, assets, users, value] = reads.slice(index * 4, index * 4 + 4);
+        return {
+          id: index + 1,
+          ...formatPlatform(info),
+          assets: assets.toString(),
+          users: users.toString(),
+          value: value.toString()
+        };
+      });
+
+      const totalValue = platforms
+        .filter((platform) => platform.isActive)
+        .reduce((total, platform) => total.add(platform.value), ethers.constants.Zero);
+
+      return {
+        totalPlatforms: stats.totalPlatforms.toString(),
+        activePlatforms: stats.activePlatforms.toString(),
+        totalAssets: stats.totalAssets.toString(),
+        totalUsers: stats.totalUsers.toString(),
+        totalValue: totalValue.toString(),
+        platforms,
+        blockNumber: block.number
+      };
+    });
+  }
+
+  /**
+   * Owner only: register a platform account with an integration fee (basis points, max 10%)
+   */
+  async registerPlatform(name, version, platformContract, integrationFee, signer, options = {}) {
+    if (ethers.BigNumber.from(integrationFee).gt(MAX_INTEGRATION_FEE)) {
+      throw new InvalidParameterError('Integration fee too high');
+    }
+    return this.write('register platform', 'registerPlatform', [name, version, platformContract, integrationFee], signer, options);
+  }
+
+  /**
+   * Owner only: stop a platform from integrating assets or users
+   */
+  async deactivatePlatform(platformContract, signer, options = {}) {
+    return this.write('deactivate platform', 'deactivatePlatform', [platformContract], signer, options);
+  }
+
+  async integrateAsset(assetContract, assetId, platformAssetId, platformValue, signer, options = {}) {
+    return this.write('integrate asset', 'integrateAsset', [assetContract, assetId, platformAssetId, platformValue], signer, options);
+  }
+
+  /**
+   * Integrate a long list of { assetContract, assetId, platformAssetId, platformValue },
+   * one integrateAsset transaction per asset, sent in order
+   * Assets that are already integrated or repeated in the list are skipped.
+   * Sending stops at the first failed transaction; `remaining` holds the
+   * assets to retry.
+   * `method: 'batch'` sends the contract's batchIntegrateAssets in chunks of
+   * `chunkSize` instead. That function forwards each asset through an external
+   * self-call, so integrateAsset sees the manager as the platform and reverts
+   * unless the manager itself is registered; this is checked before sending.
+   */
+  async batchIntegrateAssets(assets, signer, options = {}) {
+    this.sdk.ensureInitialized();
+    const { chunkSize = DEFAULT_CHUNK_SIZE, method = 'individual', ...writeOptions } = options;
+
+    for (const asset of assets) {
+      if (!asset.assetContract || asset.assetContract === ethers.constants.AddressZero) {
+        throw new InvalidParameterError('Invalid asset contract');
+      }
+      if (ethers.BigNumber.from(asset.platformValue).isZero()) {
+        throw new InvalidParameterError('Invalid platform value');
+      }
+    }
+
+    const [selfRegistered, ...integrated] = await this.read('check asset integrations', 'isAssetIntegrated', [], () => this.sdk.multicall.all([
+      { contract: this.contract, method: 'isPlatformActive', args: [this.contract.address] },
+      ...assets.map((asset) => ({ contract: this.contract, method: 'isAssetIntegrated', args: [asset.assetContract, asset.assetId] }))
+    ]));
+    if (method === 'batch' && !selfRegistered) {
+      // The contract's self-call makes the manager the platform of every asset
+      throw new InvalidStateError(
+        "Platform not registered: the manager contract is not a registered platform, use method: 'individual'",
+        { reason: 'Platform not registered', context: { method: 'batchIntegrateAssets' } }
+      );
+    }
+
+    const seen = new Set();
+    const skipped = [];
+    const pending = [];
+    assets.forEach((asset, index) => {
+      const key = assetKey(asset);
+      if (integrated[index] || seen.has(key)) {
+        skipped.push({ ...asset, reason: integrated[index] ? 'Asset already integrated' : 'Duplicate in list' });
+        return;
+      }
+      seen.add(key);
+      pending.push(asset);
+    });
+
+    const size = method === 'individual' ? 1 : chunkSize;
+    const chunks = chunk(pending, size);
+    const results = [];
+
+    for (let index = 0; index < chunks.length; index++) {
+      const assetsInChunk = chunks[index];
+      try {
+        const result = method === 'individual'
+          ? await this.integrateAsset(
+            assetsInChunk[0].assetContract,
+            assetsInChunk[0].assetId,
+            assetsInChunk[0].platformAssetId,
+            assetsInChunk[0].platformValue,
+            signer,
+            writeOptions
+          )
+          : await this.write('batch integrate assets', 'batchIntegrateAssets', [
+            assetsInChunk.map((asset) => asset.assetContract),
+            assetsInChunk.map((asset) => asset.assetId),
+            assetsInChunk.map((asset) => asset.platformAssetId),
+            assetsInChunk.map((asset) => asset.platformValue)
+          ], signer, writeOptions);
+        results.push({ chunk: index, assets: assetsInChunk, result });
+      } catch (error) {
+        return {
+          chunks: results,
+          skipped,
+          failed: { chunk: index, assets: assetsInChunk, error },
+          remaining: chunks.slice(index).flat()
+        };
+      }
+    }
+
+    return { chunks: results, skipped, failed: null, remaining: [] };
+  }
+
+  /**
+   * Update an integrated asset's platform value and sync time
+   */
+  async updateAssetSync(assetContract, assetId, newValue, signer, options = {}) {
+    return this.write('update asset sync', 'updateAssetSync', [assetContract, assetId, newValue], signer, options);
+  }
+
+  async createUserProfile(user, platformUserId, isVerified, signer, options = {}) {
+    if (!platformUserId) {
+      throw new InvalidParameterError('Invalid platform user ID');
+    }
+    return this.write('create user profile', 'createUserProfile', [user, platformUserId, isVerified], signer, options);
+  }
+}
+
+export default PlatformModule;
@@ -0,0 +1,253 @@
+/**
+ * GovernanceDAO proposal lifecycle tracking for the MetaLend SDK
+ * Combines the proposal struct, its state and the DAO's voting settings into a
+ * timeline with quorum progress, and emits an event on every state transition
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { PROPOSAL_STATUSES, proposalTypeName } from './Proposals.js';
+import { queryEventHistory, getBlockTimestamps } from './Events.js';
+import { NotFoundError } from './errors.js';
+
+// Nothing changes after these states
+const FINAL_STATES = new Set(['EXECUTED', 'CANCELLED', 'DEFEATED']);
+
+/**
+ * Build the proposal timeline from a snapshot
+ * GovernanceDAO proposals execute directly once voting has succeeded, so the
+ * `queued` stage is always marked as skipped
+ */
+export function buildTimeline(proposal, state, timestamp, outcomes = {}) {
+  const startTime = Number(proposal.startTime);
+  const endTime = Number(proposal.endTime);
+  const succeeded = state === 'SUCCEEDED' || state === 'EXECUTED';
+
+  return [
+    { stage: 'created', timestamp: Number(proposal.timestamp), reached: true },
+    { stage: 'votingOpens', timestamp: startTime, reached: state !== 'CANCELLED' && timestamp >= startTime },
+    { stage: 'votingCloses', timestamp: endTime, reached: state !== 'CANCELLED' && timestamp > endTime },
+    { stage: 'queued', timestamp: null, reached: false, skipped: true },
+    { stage: 'executable', timestamp: succeeded ? endTime : null, reached: succeeded },
+    { stage: 'executed', timestamp: outcomes.executed || null, reached: state === 'EXECUTED' },
+    { stage: 'cancelled', timestamp: outcomes.cancelled || null, reached: state === 'CANCELLED' }
+  ];
+}
+
+/**
+ * Quorum and vote progress for a proposal, percentages in basis points
+ */
+export function quorumProgress(proposal, quorumVotes) {
+  const forVotes = ethers.BigNumber.from(proposal.forVotes);
+  const againstVotes = ethers.BigNumber.from(proposal.againstVotes);
+  const abstainVotes = ethers.BigNumber.from(proposal.abstainVotes);
+  const quorum = ethers.BigNumber.from(quorumVotes);
+  const totalVotes = forVotes.add(againstVotes).add(abstainVotes);
+
+  return {
+    forVotes: forVotes.toString(),
+    againstVotes: againstVotes.toString(),
+    abstainVotes: abstainVotes.toString(),
+    totalVotes: totalVotes.toString(),
+    quorumVotes: quorum.toString(),
+    // GovernanceDAO counts only votes in favour towards quorum
+    quorumProgress: quorum.isZero() ? String(PRECISION) : forVotes.mul(PRECISION).div(quorum).toString(),
+    quorumReached: forVotes.gte(quorum),
+    votesNeeded: forVotes.gte(quorum) ? '0' : quorum.sub(forVotes).toString(),
+    passing: forVotes.gt(againstVotes) && forVotes.gte(quorum)
+  };
+}
+
+class ProposalTracker {
+  /**
+   * Follow a proposal block by block; see MetaLendSDK.trackProposal for options
+   */
+  constructor(provider, contracts, multicall, proposalId, options = {}) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.multicall = multicall;
+    this.proposalId = proposalId;
+    this.options = options;
+
+    this.snapshot = null;
+    this.listeners = new Map();
+    this.active = false;
+    this.running = false;
+    this.pending = false;
+    this.listener = () => this.schedule();
+  }
+
+  /**
+   * Register a handler for 'transition', 'votes', 'error' or 'stop'
+   */
+  on(eventName, handler) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(handler);
+    return this;
+  }
+
+  off(eventName, handler) {
+    const handlers = this.listeners.get(eventName);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+    return this;
+  }
+
+  emit(eventName, payload) {
+    for (const handler of this.listeners.get(eventName) || []) {
+      handler(payload);
+    }
+  }
+
+  /**
+   * Take the first snapshot and, with `watch`, start following new blocks
+   * A proposal already in a final state is not watched
+   */
+  async start() {
+    this.snapshot = await this.read();
+    if (this.options.watch !== false && !FINAL_STATES.has(this.snapshot.state)) {
+      this.active = true;
+      this.provider.on('block', this.listener);
+    }
+    return this;
+  }
+
+  /**
+   * Stop following new blocks; emits 'stop' once, whether stopped by the
+   * caller or on reaching a final state
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+    this.active = false;
+    this.provider.off('block', this.listener);
+    this.emit('stop', { proposalId: this.proposalId, state: this.snapshot && this.snapshot.state });
+  }
+
+  schedule() {
+    if (!this.active) {
+      return;
+    }
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+
+    this.running = true;
+    this.refresh()
+      .catch((error) => this.emit('error', error))
+      .finally(() => {
+        this.running = false;
+        if (this.pending) {
+          this.pending = false;
+          this.schedule();
+        }
+      });
+  }
+
+  /**
+   * Re-read the proposal and emit what changed since the last snapshot
+   */
+  async refresh() {
+    const previous = this.snapshot;
+    const next = await this.read();
+    this.snapshot = next;
+
+    if (previous.state !== next.state) {
+      this.emit('transition', {
+        proposalId: next.id,
+        from: previous.state,
+        to: next.state,
+        blockNumber: next.blockNumber,
+        timestamp: next.timestamp,
+        snapshot: next
+      });
+    }
+
+    if (previous.votes.totalVotes !== next.votes.totalVotes) {
+      this.emit('votes', { proposalId: next.id, previous: previous.votes, votes: next.votes, blockNumber: next.blockNumber });
+    }
+
+    if (FINAL_STATES.has(next.state)) {
+      this.stop();
+    }
+
+    return next;
+  }
+
+  /**
+   * Read a consistent snapshot of the proposal at the latest block
+   */
+  async read() {
+    const { governanceDAO } = this.contracts;
+    const block = await this.provider.getBlock('latest');
+    const overrides = { blockTag: block.number };
+
+    const [proposal, state, votingDelay, votingPeriod, quorumVotes] = await this.multicall.all([
+      { contract: governanceDAO, method: 'getProposal', args: [this.proposalId] },
+      { contract: governanceDAO, method: 'getProposalState', args: [this.proposalId] },
+      { contract: governanceDAO, method: 'getVotingDelay' },
+      { contract: governanceDAO, method: 'getVotingPeriod' },
+      { contract: governanceDAO, method: 'getQuorumVotes' }
+    ], overrides);
+
+    if (proposal.id.isZero()) {
+      throw new NotFoundError(`Proposal ${this.proposalId} does not exist`, { context: { proposalId: this.proposalId.toString() } });
+    }
+
+    const stateName = PROPOSAL_STATUSES[state];
+    const outcomes = await this.readOutcomes(stateName, block.number);
+
+    return {
+      id: proposal.id.toString(),
+      proposer: proposal.proposer,
+      proposalType: proposal.proposalType,
+      proposalTypeName: proposalTypeName(proposal.proposalType),
+      title: proposal.title,
+      state: stateName,
+      votingDelay: votingDelay.toString(),
+      votingPeriod: votingPeriod.toString(),
+      timeline: buildTimeline(proposal, stateName, block.timestamp, outcomes),
+      votes: quorumProgress(proposal, quorumVotes),
+      secondsUntilVotingOpens: Math.max(Number(proposal.startTime) - block.timestamp, 0),
+      secondsUntilVotingCloses: Math.max(Number(proposal.endTime) - block.timestamp, 0),
+      blockNumber: block.number,
+      timestamp: block.timestamp
+    };
+  }
+
+  /**
+   * Timestamps of the ProposalExecuted / ProposalCancelled events, once reached
+   */
+  async readOutcomes(state, toBlock) {
+    const eventName = { EXECUTED: 'ProposalExecuted', CANCELLED: 'ProposalCancelled' }[state];
+    if (!eventName) {
+      return {};
+    }
+
+    const key = state === 'EXECUTED' ? 'executed' : 'cancelled';
+    if (this.snapshot && this.snapshot.state === state) {
+      const stage = this.snapshot.timeline.find((entry) => entry.stage === key);
+      return { [key]: stage.timestamp };
+    }
+
+    const { governanceDAO } = this.contracts;
+    const [event] = await queryEventHistory(governanceDAO, governanceDAO.filters[eventName](this.proposalId), {
+      fromBlock: this.options.fromBlock || 0,
+      toBlock,
+      maxBlockRange: this.options.maxBlockRange
+    });
+    if (!event) {
+      return {};
+    }
+
+    const timestamps = await getBlockTimestamps(this.provider, [event.blockNumber]);
+    return { [key]: timestamps.get(event.blockNumber) };
+  }
+}
+
+export default ProposalTracker;
@@ -0,0 +1,393 @@
+/**
+ * Typed GovernanceDAO proposal data for the MetaLend SDK
+ * Proposal `data` is an ABI-encoded list of calls, (address target, uint256 value,
+ * bytes data)[], describing what a proposal asks for. Builders produce it per
+ * IGovernanceDAO.ProposalType and the decoder turns any proposal's data back
+ * into calls and a readable summary for voters.
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { InvalidParameterError } from './errors.js';
+
+// IGovernanceDAO.ProposalType
+export const PROPOSAL_TYPES = {
+  PARAMETER_CHANGE: 0,
+  ASSET_SUPPORT: 1,
+  COLLATERAL_MANAGER_UPDATE: 2,
+  LIQUIDATION_PARAMETERS: 3,
+  PROTOCOL_UPGRADE: 4,
+  TREASURY_MANAGEMENT: 5,
+  EMERGENCY_PAUSE: 6
+};
+
+// IGovernanceDAO.ProposalStatus
+export const PROPOSAL_STATUSES = ['PENDING', 'ACTIVE', 'CANCELLED', 'DEFEATED', 'SUCCEEDED', 'EXECUTED'];
+
+const PROPOSAL_DATA_TYPE = 'tuple(address target, uint256 value, bytes data)[]';
+
+// Every call the builders can produce, used to decode existing proposals
+export const PROPOSAL_CALLS = new ethers.utils.Interface([
+  'function setProtocolFee(uint256 newFee)',
+  'function setSupportedAsset(address asset, bool supported)',
+  'function setSupportedNFTCollection(address collection, bool supported)',
+  'function setProposalThreshold(uint256 newThreshold)',
+  'function setQuorumVotes(uint256 newQuorum)',
+  'function setVotingDelay(uint256 newDelay)',
+  'function setVotingPeriod(uint256 newPeriod)',
+  'function setOracle(address _oracle)',
+  'function setLiquidationEngine(address _liquidationEngine)',
+  'function updateLiquidationParameters(uint256 _liquidationThreshold, uint256 _liquidationBonus, uint256 _liquidationDelay)',
+  'function upgradeTo(address newImplementation)',
+  'function upgradeToAndCall(address newImplementation, bytes data)',
+  'function transfer(address to, uint256 amount)',
+  'function pause()',
+  'function unpause()'
+]);
+
+// PARAMETER_CHANGE keys => [contract, setter]
+const PARAMETER_SETTERS = {
+  protocolFee: ['metaLend', 'setProtocolFee'],
+  proposalThreshold: ['governanceDAO', 'setProposalThreshold'],
+  quorumVotes: ['governanceDAO', 'setQuorumVotes'],
+  votingDelay: ['governanceDAO', 'setVotingDelay'],
+  votingPeriod: ['governanceDAO', 'setVotingPeriod']
+};
+
+// Limits enforced by MetaLend.setProtocolFee and LiquidationEngine.updateLiquidationParameters
+const MAX_PROTOCOL_FEE = 1000;
+const MAX_LIQUIDATION_BONUS = 2000;
+const MAX_LIQUIDATION_DELAY = 24 * 60 * 60;
+
+/**
+ * Name of a ProposalType value, e.g. 3 => 'LIQUIDATION_PARAMETERS'
+ */
+export function proposalTypeName(proposalType) {
+  const value = Number(proposalType);
+  return Object.keys(PROPOSAL_TYPES).find((name) => PROPOSAL_TYPES[name] === value) || `UNKNOWN(${value})`;
+}
+
+/**
+ * Accept a ProposalType name or number and return the number
+ */
+export function toProposalType(proposalType) {
+  if (typeof proposalType === 'string' && PROPOSAL_TYPES[proposalType] !== undefined) {
+    return PROPOSAL_TYPES[proposalType];
+  }
+  const value = Number(proposalType);
+  if (!Object.values(PROPOSAL_TYPES).includes(value)) {
+    throw new InvalidParameterError(`Unknown proposal type: ${proposalType}`);
+  }
+  return value;
+}
+
+/**
+ * ABI-encode a list of { target, value, data } calls as proposal data
+ */
+export function encodeProposalCalls(calls) {
+  return ethers.utils.defaultAbiCoder.encode([PROPOSAL_DATA_TYPE], [
+    calls.map((call) => [call.target, call.value || 0, call.data || '0x'])
+  ]);
+}
+
+function formatBps(bps) {
+  return `${Number(bps) / (PRECISION / 100)}% (${bps} bps)`;
+}
+
+function formatArgs(args) {
+  return [...args].map((arg) => (Array.isArray(arg) ? `[${formatArgs(arg)}]` : arg.toString())).join(', ');
+}
+
+function formatDuration(seconds) {
+  const value = Number(seconds);
+  if (value > 0 && value % 86400 === 0) {
+    return `${value / 86400} day${value === 86400 ? '' : 's'}`;
+  }
+  if (value > 0 && value % 3600 === 0) {
+    return `${value / 3600} hour${value === 3600 ? '' : 's'}`;
+  }
+  return `${value} seconds`;
+}
+
+/**
+ * One-line description of a decoded call
+ */
+export function describeCall(call) {
+  const { method, args, targetName, target, value } = call;
+  const on = targetName || target;
+
+  switch (method) {
+    case 'setProtocolFee':
+      return `Set ${on} protocol fee to ${formatBps(args.newFee)}`;
+    case 'setSupportedAsset':
+      return `${args.supported ? 'Enable' : 'Disable'} lending asset ${args.asset} on ${on}`;
+    case 'setSupportedNFTCollection':
+      return `${args.supported ? 'Enable' : 'Disable'} NFT collection ${args.collection} on ${on}`;
+    case 'setProposalThreshold':
+      return `Set proposal threshold to ${ethers.utils.formatEther(args.newThreshold)} MLT`;
+    case 'setQuorumVotes':
+      return `Set quorum to ${ethers.utils.formatEther(args.newQuorum)} MLT`;
+    case 'setVotingDelay':
+      return `Set voting delay to ${formatDuration(args.newDelay)}`;
+    case 'setVotingPeriod':
+      return `Set voting period to ${formatDuration(args.newPeriod)}`;
+    case 'setOracle':
+      return `Point ${on} at oracle ${args._oracle}`;
+    case 'setLiquidationEngine':
+      return `Point ${on} at liquidation engine ${args._liquidationEngine}`;
+    case 'updateLiquidationParameters':
+      return `Set liquidation threshold to ${formatBps(args._liquidationThreshold)}, ` +
+        `bonus to ${formatBps(args._liquidationBonus)} and delay to ${formatDuration(args._liquidationDelay)}`;
+    case 'upgradeTo':
+      return `Upgrade ${on} to implementation ${args.newImplementation}`;
+    case 'upgradeToAndCall':
+      return `Upgrade ${on} to implementation ${args.newImplementation} and call it with ${args.data}`;
+    case 'transfer':
+      return `Transfer ${args.amount.toString()} (token base units) of ${on} to ${args.to}`;
+    case 'pause':
+      return `Pause ${on}`;
+    case 'unpause':
+      return `Unpause ${on}`;
+    case null:
+      return value !== '0' && call.data === '0x'
+        ? `Send ${ethers.utils.formatEther(value)} ETH to ${on}`
+        : `Call ${on} with unknown data ${call.data}`;
+    default:
+      return `Call ${on}.${method}(${formatArgs(args)})`;
+  }
+}
+
+/**
+ * Builds proposal data per ProposalType
+ * The call list is an SDK convention, not something GovernanceDAO executes: its
+ * _execute* handlers are empty stubs that never decode `data` (and
+ * COLLATERAL_MANAGER_UPDATE has no handler), so executing a proposal of any
+ * type only marks it EXECUTED. Most targeted setters are also onlyOwner on
+ * contracts the DAO does not own. Treat built proposals as a record of intent
+ * that the owner, or a multisig or timelock that owns the contract, carries out.
+ */
+class ProposalBuilder {
+  /**
+   * `contracts` are the SDK's contract instances; `addresses` are the resolved
+   * registry addresses, used for contracts the SDK does not instantiate
+   */
+  constructor(contracts, addresses = {}) {
+    this.contracts = contracts;
+    this.addresses = addresses;
+  }
+
+  /**
+   * Change protocol and governance parameters
+   * `changes` keys: protocolFee (bps), proposalThreshold, quorumVotes, votingDelay, votingPeriod
+   */
+  parameterChange(changes) {
+    const calls = Object.entries(changes).map(([parameter, value]) => {
+      const setter = PARAMETER_SETTERS[parameter];
+      if (!setter) {
+        throw new InvalidParameterError(`Unknown governance parameter: ${parameter}`);
+      }
+      if (parameter === 'protocolFee' && ethers.BigNumber.from(value).gt(MAX_PROTOCOL_FEE)) {
+        throw new InvalidParameterError(`Protocol fee ${value} exceeds the ${MAX_PROTOCOL_FEE} bps maximum`);
+      }
+      const [contractName, method] = setter;
+      return this.call(contractName, method, [value]);
+    });
+    return this.build(PROPOSAL_TYPES.PARAMETER_CHANGE, calls);
+  }
+
+  /**
+   * Enable or disable lending assets and NFT collections
+   * `assets` and `collections` map addresses to true (support) or false (remove)
+   */
+  assetSupport({ assets = {}, collections = {} }) {
+    const calls = [
+      ...Object.entries(assets).map(([asset, supported]) => (
+        this.call('metaLend', 'setSupportedAsset', [asset, supported])
+      )),
+      ...Object.entries(collections).map(([collection, supported]) => (
+        this.call('metaLend', 'setSupportedNFTCollection', [collection, supported])
+      ))
+    ];
+    return this.build(PROPOSAL_TYPES.ASSET_SUPPORT, calls);
+  }
+
+  /**
+   * Repoint the CollateralManager at a new oracle or liquidation engine
+   */
+  collateralManagerUpdate({ oracle, liquidationEngine }) {
+    const calls = [];
+    if (oracle) {
+      calls.push(this.call('collateralManager', 'setOracle', [oracle]));
+    }
+    if (liquidationEngine) {
+      calls.push(this.call('collateralManager', 'setLiquidationEngine', [liquidationEngine]));
+    }
+    return this.build(PROPOSAL_TYPES.COLLATERAL_MANAGER_UPDATE, calls);
+  }
+
+  /**
+   * Update LiquidationEngine threshold and bonus (bps) and delay (seconds)
+   */
+  liquidationParameters({ liquidationThreshold, liquidationBonus, liquidationDelay }) {
+    const threshold = ethers.BigNumber.from(liquidationThreshold);
+    const bonus = ethers.BigNumber.from(liquidationBonus);
+    const delay = ethers.BigNumber.from(liquidationDelay);
+
+    if (threshold.isZero() || threshold.gt(PRECISION)) {
+      throw new InvalidParameterError('Invalid threshold');
+    }
+    if (bonus.isZero() || bonus.gt(MAX_LIQUIDATION_BONUS)) {
+      throw new InvalidParameterError('Invalid bonus');
+    }
+    if (delay.gt(MAX_LIQUIDATION_DELAY)) {
+      throw new InvalidParameterError('Delay too long');
+    }
+
+    return this.build(PROPOSAL_TYPES.LIQUIDATION_PARAMETERS, [
+      this.call('liquidationEngine', 'updateLiquidationParameters', [threshold, bonus, delay])
+    ]);
+  }
+
+  /**
+   * Upgrade a UUPS proxy, optionally calling the new implementation with `initData`
+   */
+  protocolUpgrade({ proxy, implementation, initData }) {
+    const call = initData
+      ? this.encode(proxy, 'upgradeToAndCall', [implementation, initData])
+      : this.encode(proxy, 'upgradeTo', [implementation]);
+    return this.build(PROPOSAL_TYPES.PROTOCOL_UPGRADE, [call]);
+  }
+
+  /**
+   * Pay `amount` of an ERC20 (or ETH when `token` is omitted) from the treasury
+   */
+  treasuryManagement({ token, recipient, amount }) {
+    const call = token && token !== ethers.constants.AddressZero
+      ? this.encode(token, 'transfer', [recipient, amount])
+      : { target: recipient, value: ethers.BigNumber.from(amount), data: '0x' };
+    return this.build(PROPOSAL_TYPES.TREASURY_MANAGEMENT, [call]);
+  }
+
+  /**
+   * Pause (or unpause) pausable protocol contracts; defaults to the MetaLend token
+   */
+  emergencyPause({ targets, paused = true } = {}) {
+    const pausable = targets || [this.addresses.metaLendToken].filter(Boolean);
+    if (pausable.length === 0) {
+      throw new InvalidParameterError('No pausable contract to target; pass `targets`');
+    }
+    return this.build(
+      PROPOSAL_TYPES.EMERGENCY_PAUSE,
+      pausable.map((target) => this.encode(target, paused ? 'pause' : 'unpause', []))
+    );
+  }
+
+  /**
+   * Decode proposal data into calls and a readable summary
+   * Data that does not follow the builder layout is reported rather than thrown
+   */
+  decode(proposalType, data) {
+    const type = Number(proposalType);
+    const result = {
+      proposalType: type,
+      proposalTypeName: proposalTypeName(type),
+      calls: null,
+      summary: [],
+      error: null
+    };
+
+    if (!data || data === '0x') {
+      result.calls = [];
+      result.summary.push('No on-chain actions');
+      return result;
+    }
+
+    let rawCalls;
+    try {
+      [rawCalls] = ethers.utils.defaultAbiCoder.decode([PROPOSAL_DATA_TYPE], data);
+    } catch (error) {
+      result.error = error;
+      result.summary.push(`Unrecognized proposal data (${ethers.utils.hexDataLength(data)} bytes)`);
+      return result;
+    }
+
+    result.calls = rawCalls.map(([target, value, callData]) => this.decodeCall(target, value, callData));
+    result.summary = result.calls.map(describeCall);
+    return result;
+  }
+
+  /**
+   * Decode a single call against the target's ABI or the known proposal functions
+   */
+  decodeCall(target, value, data) {
+    const call = {
+      target,
+      targetName: this.contractNameFor(target),
+      value: value.toString(),
+      data,
+      method: null,
+      signature: null,
+      args: null
+    };
+
+    if (ethers.utils.hexDataLength(data) >= 4) {
+      // Prefer the target's own ABI, then the known proposal functions
+      const interfaces = [PROPOSAL_CALLS];
+      if (call.targetName && this.contracts[call.targetName]) {
+        interfaces.unshift(this.contracts[call.targetName].interface);
+      }
+      for (const iface of interfaces) {
+        try {
+          const parsed = iface.parseTransaction({ data, value });
+          call.method = parsed.name;
+          call.signature = parsed.signature;
+          call.args = parsed.args;
+          break;
+        } catch (error) {
+          // Unknown function; described by its raw data
+        }
+      }
+    }
+
+    return call;
+  }
+
+  /**
+   * SDK contract name for an address, if it is one of the protocol contracts
+   */
+  contractNameFor(address) {
+    const known = { ...this.addresses };
+    for (const [name, contract] of Object.entries(this.contracts)) {
+      known[name] = contract.address;
+    }
+    const match = Object.entries(known)
+      .find(([, knownAddress]) => knownAddress && knownAddress.toLowerCase() === address.toLowerCase());
+    return match ? match[0] : null;
+  }
+
+  call(contractName, method, args) {
+    const address = (this.contracts[contractName] && this.contracts[contractName].address) ||
+      this.addresses[contractName];
+    if (!address) {
+      throw new InvalidParameterError(`No ${contractName} address available for ${method}`);
+    }
+    return this.encode(address, method, args);
+  }
+
+  encode(target, method, args) {
+    return { target, value: ethers.constants.Zero, data: PROPOSAL_CALLS.encodeFunctionData(method, args) };
+  }
+
+  /**
+   * Package calls as createProposal() arguments plus a preview of what they do
+   */
+  build(proposalType, calls) {
+    if (calls.length === 0) {
+      throw new InvalidParameterError(`A ${proposalTypeName(proposalType)} proposal needs at least one action`);
+    }
+    const data = encodeProposalCalls(calls);
+    return { proposalType, data, ...this.decode(proposalType, data) };
+  }
+}
+
+export default ProposalBuilder;
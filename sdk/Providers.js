@@ -0,0 +1,357 @@
+/**
+ * Multi-endpoint JSON-RPC provider for the MetaLend SDK and scripts
+ * Ranks endpoints by block freshness and latency, retries reads on the next
+ * endpoint when one fails, and broadcasts each signed transaction so that a
+ * failed endpoint never leads to a blind resend
+ */
+
+import { ethers } from 'ethers';
+import { InvalidParameterError, NetworkMismatchError } from './errors.js';
+
+const DEFAULT_TIMEOUT = 10 * 1000;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 30 * 1000;
+const DEFAULT_MAX_BLOCK_LAG = 2;
+const DEFAULT_MAX_FAILURES = 3;
+
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// Raw JSON-RPC methods safe to retry on another endpoint
+const READ_RPC_METHODS = new Set([
+  'eth_chainId',
+  'net_version',
+  'eth_blockNumber',
+  'eth_call',
+  'eth_estimateGas',
+  'eth_gasPrice',
+  'eth_maxPriorityFeePerGas',
+  'eth_feeHistory',
+  'eth_getBalance',
+  'eth_getCode',
+  'eth_getStorageAt',
+  'eth_getTransactionCount',
+  'eth_getBlockByNumber',
+  'eth_getBlockByHash',
+  'eth_getTransactionByHash',
+  'eth_getTransactionReceipt',
+  'eth_getLogs',
+  'debug_traceCall'
+]);
+
+// Errors that come from the call itself and would be the same on any endpoint
+const DETERMINISTIC_ERRORS = [
+  ethers.errors.CALL_EXCEPTION,
+  ethers.errors.UNPREDICTABLE_GAS_LIMIT,
+  ethers.errors.INSUFFICIENT_FUNDS,
+  ethers.errors.NONCE_EXPIRED,
+  ethers.errors.REPLACEMENT_UNDERPRICED,
+  ethers.errors.INVALID_ARGUMENT
+];
+
+/**
+ * Whether the endpoint failed to answer at all (down, timed out, rate limited),
+ * as opposed to answering with a JSON-RPC error
+ * ethers wraps any failed eth_call in a CALL_EXCEPTION, so nested errors count too
+ */
+export function isTransportError(error) {
+  for (let current = error; current; current = current.error) {
+    if (current.code === ethers.errors.TIMEOUT || current.code === ethers.errors.NETWORK_ERROR) {
+      return true;
+    }
+    if (current.code === ethers.errors.SERVER_ERROR &&
+      (current.reason === 'missing response' || current.status === 429 || current.status >= 500)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isRetryableReadError(error) {
+  return isTransportError(error) || !DETERMINISTIC_ERRORS.includes(error.code);
+}
+
+function withTimeout(promise, ms, url) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(`Request to ${url} timed out after ${ms}ms`), {
+      code: ethers.errors.TIMEOUT
+    })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class MultiRpcProvider extends ethers.providers.BaseProvider {
+  /**
+   * `endpoints` are RPC URLs or ethers providers. Health is checked lazily,
+   * at most every `healthCheckInterval` ms; endpoints more than `maxBlockLag`
+   * blocks behind the best one or with `maxFailures` failures in a row are
+   * tried last, and endpoints on another chain are only tried when nothing
+   * else answers.
+   */
+  constructor(endpoints, {
+    network,
+    timeout = DEFAULT_TIMEOUT,
+    healthCheckInterval = DEFAULT_HEALTH_CHECK_INTERVAL,
+    maxBlockLag = DEFAULT_MAX_BLOCK_LAG,
+    maxFailures = DEFAULT_MAX_FAILURES
+  } = {}) {
+    if (!endpoints || endpoints.length === 0) {
+      throw new InvalidParameterError('MultiRpcProvider needs at least one endpoint');
+    }
+
+    super(network || new Promise((resolve, reject) => {
+      setTimeout(() => this.detectNetwork().then(resolve, reject), 0);
+    }));
+
+    this.timeout = timeout;
+    this.healthCheckInterval = healthCheckInterval;
+    this.maxBlockLag = maxBlockLag;
+    this.maxFailures = maxFailures;
+    this.endpoints = endpoints.map((endpoint) => {
+      const provider = typeof endpoint === 'string'
+        ? new ethers.providers.StaticJsonRpcProvider({ url: endpoint, timeout }, network)
+        : endpoint;
+      return {
+        url: typeof endpoint === 'string' ? endpoint : (endpoint.connection && endpoint.connection.url) || 'provider',
+        provider,
+        chainId: null,
+        wrongChain: false,
+        blockNumber: null,
+        latency: null,
+        requests: 0,
+        errors: 0,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastCheckedAt: null
+      };
+    });
+    this.lastHealthCheck = 0;
+    this.healthCheck = null;
+    this.detectedNetwork = null;
+  }
+
+  /**
+   * Network of the first endpoint that answers; ethers asks on every call,
+   * so the answer is kept
+   */
+  async detectNetwork() {
+    if (this.detectedNetwork) {
+      return this.detectedNetwork;
+    }
+
+    let lastError;
+    for (const endpoint of this.endpoints) {
+      try {
+        this.detectedNetwork = await this.request(endpoint, (provider) => provider.getNetwork());
+        return this.detectedNetwork;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async perform(method, params) {
+    if (method === 'sendTransaction') {
+      return this.broadcast(params.signedTransaction);
+    }
+    return this.read((provider) => provider.perform(method, params));
+  }
+
+  /**
+   * Raw JSON-RPC: reads are retried, eth_sendRawTransaction is broadcast like
+   * sendTransaction, and anything else (evm_snapshot, evm_mine, ...) goes to
+   * the top-ranked endpoint only
+   */
+  async send(method, params) {
+    if (method === 'eth_sendRawTransaction') {
+      return this.broadcast(params[0]);
+    }
+    if (READ_RPC_METHODS.has(method)) {
+      return this.read((provider) => provider.send(method, params));
+    }
+    const [primary] = await this.rankedEndpoints();
+    return this.request(primary, (provider) => provider.send(method, params));
+  }
+
+  /**
+   * Try endpoints in rank order until one answers
+   */
+  async read(run) {
+    let lastError;
+    for (const endpoint of await this.rankedEndpoints()) {
+      try {
+        return await this.request(endpoint, run);
+      } catch (error) {
+        if (!isRetryableReadError(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Send a signed transaction to the best endpoint
+   * Only an endpoint that did not answer moves the broadcast on, and only
+   * after no endpoint reports the transaction as known. The same signed bytes
+   * are sent each time, so the transaction can be included at most once;
+   * errors from a node that did answer are thrown as they are.
+   */
+  async broadcast(signedTransaction) {
+    const hash = ethers.utils.keccak256(signedTransaction);
+    let lastError;
+
+    for (const endpoint of await this.rankedEndpoints()) {
+      if (lastError && await this.isKnownTransaction(hash)) {
+        return hash;
+      }
+      try {
+        return await this.request(endpoint, (provider) => provider.perform('sendTransaction', { signedTransaction }));
+      } catch (error) {
+        if (/already known|known transaction/i.test(error.message)) {
+          return hash;
+        }
+        if (error.code === ethers.errors.NONCE_EXPIRED && lastError && await this.isKnownTransaction(hash)) {
+          // The earlier attempt did reach the network and has been mined since
+          return hash;
+        }
+        if (!isTransportError(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async isKnownTransaction(hash) {
+    try {
+      return Boolean(await this.read((provider) => provider.perform('getTransaction', { transactionHash: hash })));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check every endpoint's chain id, head block and latency now
+   */
+  async checkHealth() {
+    if (!this.healthCheck) {
+      this.healthCheck = this.runHealthCheck().finally(() => {
+        this.healthCheck = null;
+      });
+    }
+    return this.healthCheck;
+  }
+
+  async runHealthCheck() {
+    const network = await this.getNetwork().catch(() => null);
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const [chainId, blockNumber] = await this.request(endpoint, async (provider) => Promise.all([
+          endpoint.chainId === null ? provider.getNetwork().then(({ chainId }) => chainId) : endpoint.chainId,
+          provider.perform('getBlockNumber', {}).then((result) => ethers.BigNumber.from(result).toNumber())
+        ]));
+        endpoint.chainId = chainId;
+        endpoint.wrongChain = Boolean(network && chainId !== network.chainId);
+        if (endpoint.wrongChain) {
+          throw new NetworkMismatchError(`${endpoint.url} is on chain ${chainId}, expected ${network.chainId}`);
+        }
+        endpoint.blockNumber = blockNumber;
+      } catch (error) {
+        endpoint.lastError = error.message;
+        endpoint.consecutiveFailures = Math.max(endpoint.consecutiveFailures, this.maxFailures);
+      }
+      endpoint.lastCheckedAt = Date.now();
+    }));
+    this.lastHealthCheck = Date.now();
+    return this.getHealth();
+  }
+
+  /**
+   * Endpoint stats in rank order
+   */
+  getHealth() {
+    const head = this.headBlock();
+    return this.rank().map((endpoint, index) => ({
+      url: endpoint.url,
+      rank: index + 1,
+      healthy: this.isHealthy(endpoint),
+      blockNumber: endpoint.blockNumber,
+      blocksBehind: endpoint.blockNumber === null || head === null ? null : head - endpoint.blockNumber,
+      latency: endpoint.latency === null ? null : Math.round(endpoint.latency),
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      lastError: endpoint.lastError,
+      lastCheckedAt: endpoint.lastCheckedAt
+    }));
+  }
+
+  async rankedEndpoints() {
+    if (Date.now() - this.lastHealthCheck > this.healthCheckInterval) {
+      await this.checkHealth();
+    }
+    return this.rank();
+  }
+
+  /**
+   * Healthy and fresh endpoints first, then by latency; unmeasured endpoints
+   * keep their configured order
+   */
+  rank() {
+    const score = (endpoint) => (this.isHealthy(endpoint) ? 0 : 2) + (this.isFresh(endpoint) ? 0 : 1);
+    return this.endpoints
+      .map((endpoint, index) => ({ endpoint, index }))
+      .sort((a, b) => (
+        score(a.endpoint) - score(b.endpoint) ||
+        (a.endpoint.latency === null ? Infinity : a.endpoint.latency) - (b.endpoint.latency === null ? Infinity : b.endpoint.latency) ||
+        a.index - b.index
+      ))
+      .map(({ endpoint }) => endpoint);
+  }
+
+  isHealthy(endpoint) {
+    return !endpoint.wrongChain && endpoint.consecutiveFailures < this.maxFailures;
+  }
+
+  isFresh(endpoint) {
+    const head = this.headBlock();
+    return head === null || endpoint.blockNumber === null || head - endpoint.blockNumber <= this.maxBlockLag;
+  }
+
+  headBlock() {
+    const blocks = this.endpoints
+      .filter((endpoint) => this.isHealthy(endpoint) && endpoint.blockNumber !== null)
+      .map((endpoint) => endpoint.blockNumber);
+    return blocks.length > 0 ? Math.max(...blocks) : null;
+  }
+
+  /**
+   * Run one call on one endpoint and record its latency or failure
+   */
+  async request(endpoint, run) {
+    const start = Date.now();
+    endpoint.requests++;
+    try {
+      const result = await withTimeout(run(endpoint.provider), this.timeout, endpoint.url);
+      const elapsed = Date.now() - start;
+      endpoint.latency = endpoint.latency === null
+        ? elapsed
+        : endpoint.latency + LATENCY_SMOOTHING * (elapsed - endpoint.latency);
+      endpoint.consecutiveFailures = 0;
+      return result;
+    } catch (error) {
+      endpoint.errors++;
+      endpoint.lastError = error.message;
+      if (isTransportError(error)) {
+        endpoint.consecutiveFailures++;
+      }
+      throw error;
+    }
+  }
+}
+
+export default MultiRpcProvider;
@@ -0,0 +1,210 @@
+/**
+ * Borrow quotes for the MetaLend SDK
+ * Mirrors the checks and rate model of MetaLend.depositCollateralAndBorrow so
+ * borrowers can see the rate, limits and cost of a loan before committing an NFT
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { errorClassForReason } from './errors.js';
+import { ERC721_ABI } from './Approvals.js';
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// LoanPool.calculateInterestRate parameters, in basis points
+export const BASE_INTEREST_RATE = 500;
+export const UTILIZATION_RATE_SLOPE = 2000;
+
+/**
+ * LoanPool utilization in basis points
+ */
+export function calculateUtilization(totalBorrowed, totalLiquidity) {
+  const liquidity = ethers.BigNumber.from(totalLiquidity);
+  if (liquidity.isZero()) {
+    return ethers.constants.Zero;
+  }
+  return ethers.BigNumber.from(totalBorrowed).mul(PRECISION).div(liquidity);
+}
+
+/**
+ * Same formula as LoanPool.calculateInterestRate, in basis points per year
+ */
+export function calculateInterestRate(totalBorrowed, totalLiquidity) {
+  if (ethers.BigNumber.from(totalLiquidity).isZero()) {
+    return ethers.BigNumber.from(BASE_INTEREST_RATE);
+  }
+  const utilization = calculateUtilization(totalBorrowed, totalLiquidity);
+  return utilization.mul(UTILIZATION_RATE_SLOPE).div(PRECISION).add(BASE_INTEREST_RATE);
+}
+
+/**
+ * Simple interest accrued over `duration` seconds, as LoanPool.calculateInterest computes it
+ */
+export function calculateInterest(principal, interestRate, duration) {
+  return ethers.BigNumber.from(principal)
+    .mul(interestRate)
+    .mul(duration)
+    .div(ethers.BigNumber.from(SECONDS_PER_YEAR).mul(PRECISION));
+}
+
+class BorrowQuoter {
+  /**
+   * `contracts` and `multicall` are the SDK's initialized instances
+   */
+  constructor(provider, contracts, multicall) {
+    this.provider = provider;
+    this.contracts = contracts;
+    this.multicall = multicall;
+  }
+
+  /**
+   * Quote a borrow of `amount` against an NFT for `duration` seconds
+   * Checks run in the order the contracts apply them, so `reason` is the
+   * revert string the transaction would fail with. The NFT must exist and be
+   * approved to the CollateralManager; with `borrower` it must also be theirs.
+   */
+  async quoteBorrow(nftContract, tokenId, amount, duration, { asset, borrower } = {}) {
+    const { metaLend, collateralManager, loanPool } = this.contracts;
+    const loanAmount = ethers.BigNumber.from(amount);
+    const loanDuration = ethers.BigNumber.from(duration);
+
+    const block = await this.provider.getBlock('latest');
+    const overrides = { blockTag: block.number };
+    const lendingAsset = asset || await loanPool.asset(overrides);
+    const nft = new ethers.Contract(nftContract, ERC721_ABI, this.provider);
+
+    const [
+      collectionSupported,
+      assetSupported,
+      protocolFee,
+      existingCollateralId,
+      collateralValue,
+      ltvLimit,
+      availableLiquidity,
+      totalLiquidity,
+      totalBorrowed,
+      currentRate,
+      owner,
+      approvedAddress,
+      borrowerApprovedAll
+    ] = await this.multicall.all([
+      { contract: metaLend, method: 'supportedNFTCollections', args: [nftContract] },
+      { contract: metaLend, method: 'supportedAssets', args: [lendingAsset] },
+      { contract: metaLend, method: 'protocolFee' },
+      { contract: collateralManager, method: 'collateralIds', args: [nftContract, tokenId] },
+      { contract: collateralManager, method: 'calculateCollateralValue', args: [nftContract, tokenId] },
+      { contract: collateralManager, method: 'LIQUIDATION_THRESHOLD' },
+      { contract: loanPool, method: 'getAvailableLiquidity' },
+      { contract: loanPool, method: 'totalLiquidity' },
+      { contract: loanPool, method: 'totalBorrowed' },
+      { contract: loanPool, method: 'calculateInterestRate' },
+      { contract: nft, method: 'ownerOf', args: [tokenId], allowFailure: true },
+      { contract: nft, method: 'getApproved', args: [tokenId], allowFailure: true },
+      ...(borrower ? [{ contract: nft, method: 'isApprovedForAll', args: [borrower, collateralManager.address], allowFailure: true }] : [])
+    ], overrides);
+
+    // The operator approval that counts is the owner's; it is only known up
+    // front when the borrower turns out to be the owner
+    let approved = Boolean(owner) && approvedAddress === collateralManager.address;
+    if (owner && !approved) {
+      approved = borrower && owner === ethers.utils.getAddress(borrower)
+        ? Boolean(borrowerApprovedAll)
+        : await nft.isApprovedForAll(owner, collateralManager.address, overrides);
+    }
+
+    // Largest amount with amount * PRECISION / value <= LIQUIDATION_THRESHOLD (integer division)
+    const maxByCollateral = collateralValue.isZero()
+      ? ethers.constants.Zero
+      : ltvLimit.add(1).mul(collateralValue).sub(1).div(PRECISION);
+    const maxBorrowable = maxByCollateral.lt(availableLiquidity) ? maxByCollateral : availableLiquidity;
+
+    // createLoan locks in the rate before the loan is added to totalBorrowed;
+    // the post-borrow rate is what the pool charges the next borrower
+    const postBorrowed = totalBorrowed.add(loanAmount);
+    const projectedInterest = calculateInterest(loanAmount, currentRate, loanDuration);
+
+    const reason = this.rejectionReason({
+      nftContract,
+      loanAmount,
+      loanDuration,
+      collectionSupported,
+      assetSupported,
+      existingCollateralId,
+      owner,
+      approved,
+      borrower,
+      collateralValue,
+      ltvLimit,
+      availableLiquidity
+    });
+
+    return {
+      eligible: reason === null,
+      reason,
+      errorType: reason ? errorClassForReason(reason).name : null,
+      nftContract,
+      tokenId: tokenId.toString(),
+      owner,
+      approved,
+      asset: lendingAsset,
+      amount: loanAmount.toString(),
+      duration: loanDuration.toString(),
+      collateralValue: collateralValue.toString(),
+      ltv: collateralValue.isZero() ? null : loanAmount.mul(PRECISION).div(collateralValue).toString(),
+      maxLtv: ltvLimit.toString(),
+      maxBorrowable: maxBorrowable.toString(),
+      availableLiquidity: availableLiquidity.toString(),
+      interestRate: currentRate.toString(),
+      postBorrowUtilization: calculateUtilization(postBorrowed, totalLiquidity).toString(),
+      postBorrowInterestRate: calculateInterestRate(postBorrowed, totalLiquidity).toString(),
+      projectedInterest: projectedInterest.toString(),
+      protocolFee: protocolFee.toString(),
+      protocolFeeAmount: loanAmount.mul(protocolFee).div(PRECISION).toString(),
+      totalRepayment: loanAmount.add(projectedInterest).toString(),
+      maturityTime: loanDuration.add(block.timestamp).toString(),
+      blockNumber: block.number
+    };
+  }
+
+  /**
+   * First revert string depositCollateralAndBorrow would hit, or null
+   */
+  rejectionReason({
+    nftContract,
+    loanAmount,
+    loanDuration,
+    collectionSupported,
+    assetSupported,
+    existingCollateralId,
+    owner,
+    approved,
+    borrower,
+    collateralValue,
+    ltvLimit,
+    availableLiquidity
+  }) {
+    const checks = [
+      // MetaLend
+      [!collectionSupported, 'NFT collection not supported'],
+      [!assetSupported, 'Asset not supported'],
+      // CollateralManager.depositCollateral
+      [nftContract === ethers.constants.AddressZero, 'Invalid NFT contract'],
+      [loanAmount.isZero(), 'Invalid loan amount'],
+      [!existingCollateralId.isZero(), 'NFT already used as collateral'],
+      // IERC721.transferFrom to the CollateralManager
+      [owner === null, 'ERC721: invalid token ID'],
+      [!approved, 'ERC721: caller is not token owner or approved'],
+      [Boolean(borrower) && owner !== ethers.utils.getAddress(borrower), 'ERC721: transfer from incorrect owner'],
+      [collateralValue.isZero(), 'Invalid collateral value'],
+      [!collateralValue.isZero() && loanAmount.mul(PRECISION).div(collateralValue).gt(ltvLimit), 'Loan amount exceeds threshold'],
+      // LoanPool.createLoan
+      [loanDuration.isZero(), 'Invalid duration'],
+      [loanAmount.gt(availableLiquidity), 'Insufficient liquidity']
+    ];
+
+    const failed = checks.find(([rejected]) => rejected);
+    return failed ? failed[1] : null;
+  }
+}
+
+export default BorrowQuoter;
@@ -0,0 +1,219 @@
+/**
+ * VirtualRealEstate module for the MetaLend SDK
+ * Reads typed parcels, checks locations before minting, projects rent income
+ * and rebuilds each parcel's value history from its events
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { queryEventHistory, getBlockTimestamps } from './Events.js';
+import { InvalidParameterError, InvalidStateError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+// VirtualRealEstate.PropertyType, in enum order
+export const PROPERTY_TYPES = [
+  'RESIDENTIAL',
+  'COMMERCIAL',
+  'INDUSTRIAL',
+  'RECREATIONAL',
+  'LAND_ONLY'
+];
+
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Accept a PropertyType name or number and return the number
+ */
+export function toPropertyType(propertyType) {
+  const index = typeof propertyType === 'string' && PROPERTY_TYPES.includes(propertyType)
+    ? PROPERTY_TYPES.indexOf(propertyType)
+    : Number(propertyType);
+  if (!PROPERTY_TYPES[index]) {
+    throw new InvalidParameterError(`Unknown property type: ${propertyType}`);
+  }
+  return index;
+}
+
+/**
+ * Format a PropertyInfo struct with its property type name
+ */
+export function formatProperty(property) {
+  return {
+    tokenId: property.tokenId.toString(),
+    location: property.location,
+    size: property.size.toString(),
+    landValue: property.landValue.toString(),
+    buildingValue: property.buildingValue.toString(),
+    totalValue: property.totalValue.toString(),
+    propertyType: Number(property.propertyType),
+    propertyTypeName: PROPERTY_TYPES[property.propertyType],
+    hasBuilding: property.hasBuilding,
+    rentYield: property.rentYield.toString(),
+    timestamp: property.timestamp.toString()
+  };
+}
+
+/**
+ * Monthly and annual rent from calculateRentIncome's annual figure
+ * `projection` is the cumulative income at the end of each of the next `months`
+ * months; `yieldOnValue` relates the rent to the parcel's total value, in basis points
+ */
+export function projectRentIncome(annualIncome, totalValue, months = MONTHS_PER_YEAR) {
+  const annual = ethers.BigNumber.from(annualIncome);
+  const value = ethers.BigNumber.from(totalValue);
+
+  return {
+    annual: annual.toString(),
+    monthly: annual.div(MONTHS_PER_YEAR).toString(),
+    yieldOnValue: value.isZero() ? '0' : annual.mul(PRECISION).div(value).toString(),
+    projection: Array.from({ length: months }, (_, index) => ({
+      month: index + 1,
+      cumulative: annual.mul(index + 1).div(MONTHS_PER_YEAR).toString()
+    }))
+  };
+}
+
+/**
+ * Works with the VirtualRealEstate collection under `contractName` in
+ * sdk.contracts; use sdk.getVirtualRealEstate(address) for another collection
+ */
+class RealEstateModule extends SdkModule {
+  /**
+   * A parcel with its owner and property type name
+   */
+  async getPropertyInfo(tokenId) {
+    return this.read('get property info', 'getPropertyInfo', [tokenId], async () => {
+      const [property, owner] = await this.sdk.multicall.all([
+        { contract: this.contract, method: 'getPropertyInfo', args: [tokenId] },
+        { contract: this.contract, method: 'ownerOf', args: [tokenId] }
+      ]);
+      return { ...formatProperty(property), owner };
+    });
+  }
+
+  /**
+   * Parcel ids of a property type; ids only unless `withInfo` is set
+   */
+  async getPropertiesByType(propertyType, { withInfo = false } = {}) {
+    const index = toPropertyType(propertyType);
+    return this.read('get properties by type', 'getPropertiesByType', [index], async () => {
+      const tokenIds = await this.contract.getPropertiesByType(index);
+      if (!withInfo) {
+        return tokenIds.map((tokenId) => tokenId.toString());
+      }
+
+      const properties = await this.sdk.multicall.all(tokenIds.map((tokenId) => ({
+        contract: this.contract,
+        method: 'getPropertyInfo',
+        args: [tokenId]
+      })));
+      return properties.map(formatProperty);
+    });
+  }
+
+  /**
+   * Whether a location has already been minted
+   */
+  async locationExists(location) {
+    return this.read('check location', 'locationExists', [location], () => this.contract.locationExists(location));
+  }
+
+  /**
+   * Projected rent income for a parcel; zero until a building is constructed
+   */
+  async getRentIncome(tokenId, { months = MONTHS_PER_YEAR } = {}) {
+    return this.read('calculate rent income', 'calculateRentIncome', [tokenId], async () => {
+      const [annualIncome, property] = await this.sdk.multicall.all([
+        { contract: this.contract, method: 'calculateRentIncome', args: [tokenId] },
+        { contract: this.contract, method: 'getPropertyInfo', args: [tokenId] }
+      ]);
+      return {
+        tokenId: tokenId.toString(),
+        rentYield: property.rentYield.toString(),
+        buildingValue: property.buildingValue.toString(),
+        ...projectRentIncome(annualIncome, property.totalValue, months)
+      };
+    });
+  }
+
+  /**
+   * A parcel's value over time, from PropertyMinted, PropertyValueUpdated and
+   * BuildingConstructed events, oldest first
+   * The mint entry has no land/building split: PropertyMinted only carries the
+   * total, which includes the type multiplier
+   */
+  async getValueHistory(tokenId, options = {}) {
+    return this.read('get property value history', 'getPropertyInfo', [tokenId], async () => {
+      const { filters } = this.contract;
+      const [minted, updates, buildings] = await Promise.all([
+        queryEventHistory(this.contract, filters.PropertyMinted(null, tokenId), options),
+        queryEventHistory(this.contract, filters.PropertyValueUpdated(tokenId), options),
+        queryEventHistory(this.contract, filters.BuildingConstructed(tokenId), options)
+      ]);
+
+      // constructBuilding emits BuildingConstructed then PropertyValueUpdated in the same transaction
+      const buildingsByTx = new Map(buildings.map((event) => [event.transactionHash, event]));
+
+      const entries = [
+        ...minted.map((event) => ({
+          event,
+          type: 'minted',
+          landValue: null,
+          buildingValue: '0',
+          totalValue: event.args.totalValue.toString()
+        })),
+        ...updates.map((event) => {
+          const building = buildingsByTx.get(event.transactionHash);
+          return {
+            event,
+            type: building ? 'buildingConstructed' : 'valueUpdated',
+            landValue: event.args.newLandValue.toString(),
+            buildingValue: event.args.newBuildingValue.toString(),
+            totalValue: event.args.newTotalValue.toString(),
+            ...(building && { rentYield: building.args.rentYield.toString() })
+          };
+        })
+      ].sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+      const timestamps = await getBlockTimestamps(this.sdk.provider, entries.map(({ event }) => event.blockNumber));
+
+      return entries.map(({ event, ...entry }) => ({
+        ...entry,
+        blockNumber: event.blockNumber,
+        timestamp: timestamps.get(event.blockNumber),
+        transactionHash: event.transactionHash
+      }));
+    });
+  }
+
+  /**
+   * Owner only: mint a parcel, refusing locations that already exist
+   */
+  async mintProperty(to, location, size, propertyType, landValue, signer, options = {}) {
+    const type = toPropertyType(propertyType);
+    if (await this.locationExists(location)) {
+      throw new InvalidStateError('Location already exists', {
+        reason: 'Location already exists',
+        context: { contract: this.contractName, location }
+      });
+    }
+
+    return this.write('mint property', 'mintProperty', [to, location, size, type, landValue], signer, options);
+  }
+
+  /**
+   * Property owner only: add a building with an annual rent yield (basis points, max 20%)
+   */
+  async constructBuilding(tokenId, buildingValue, rentYield, signer, options = {}) {
+    return this.write('construct building', 'constructBuilding', [tokenId, buildingValue, rentYield], signer, options);
+  }
+
+  /**
+   * Owner only: set a parcel's land and building values
+   */
+  async updatePropertyValue(tokenId, newLandValue, newBuildingValue, signer, options = {}) {
+    return this.write('update property value', 'updatePropertyValue', [tokenId, newLandValue, newBuildingValue], signer, options);
+  }
+}
+
+export default RealEstateModule;
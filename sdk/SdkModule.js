@@ -0,0 +1,43 @@
+/**
+ * Base class for the SDK's per-contract modules
+ * Read-only helpers such as PositionHealthReader take the provider, contracts
+ * and multicall. Modules that also send transactions take the SDK instead, so
+ * their writes go through sdk.executeWrite and support `simulate`, approvals,
+ * fees and typed errors.
+ */
+
+class SdkModule {
+  /**
+   * `contractName` is the key of the module's contract in sdk.contracts
+   */
+  constructor(sdk, contractName) {
+    this.sdk = sdk;
+    this.contractName = contractName;
+  }
+
+  get contract() {
+    return this.sdk.contracts[this.contractName];
+  }
+
+  /**
+   * Run `reader` and wrap a failure in the SDK's typed error for `method`
+   */
+  async read(action, method, args, reader) {
+    this.sdk.ensureInitialized();
+    try {
+      return await reader();
+    } catch (error) {
+      throw await this.sdk.wrapError(error, action, { contract: this.contractName, method, args });
+    }
+  }
+
+  /**
+   * Send `method` on the module's contract through the SDK
+   */
+  async write(action, method, args, signer, options, getApprovals = null) {
+    this.sdk.ensureInitialized();
+    return this.sdk.executeWrite(action, this.contractName, method, args, signer, options, getApprovals);
+  }
+}
+
+export default SdkModule;
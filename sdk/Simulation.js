@@ -0,0 +1,206 @@
+/**
+ * Pre-flight simulation for MetaLend SDK write methods
+ * Runs a transaction as a static call plus gas estimate and reports what it
+ * would return, emit and cost without leaving anything on chain
+ */
+
+import { ethers } from 'ethers';
+import { formatResult } from './format.js';
+
+class TransactionSimulator {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Build a preview of `contract[method](...args)` sent by `signer`
+   * `parseLogs` turns raw logs into the SDK's decoded event format
+   */
+  async simulate({ contract, method, args, signer, parseLogs }) {
+    const from = await signer.getAddress();
+    const populated = await contract.populateTransaction[method](...args);
+    const transaction = { ...populated, from };
+
+    const preview = {
+      simulated: true,
+      success: false,
+      address: contract.address,
+      method,
+      from,
+      returnValues: null,
+      gasEstimate: null,
+      gasPrice: null,
+      estimatedCost: null,
+      events: null,
+      error: null
+    };
+
+    try {
+      const returnData = await this.provider.call(transaction);
+      preview.returnValues = formatResult(contract.interface.decodeFunctionResult(method, returnData));
+
+      const [gasEstimate, feeData] = await Promise.all([
+        this.provider.estimateGas(transaction),
+        this.provider.getFeeData()
+      ]);
+      const gasPrice = feeData.maxFeePerGas || feeData.gasPrice;
+      preview.gasEstimate = gasEstimate.toString();
+      preview.gasPrice = gasPrice ? gasPrice.toString() : null;
+      preview.estimatedCost = gasPrice ? gasEstimate.mul(gasPrice).toString() : null;
+
+      preview.events = await this.simulateEvents({ ...transaction, gasLimit: gasEstimate }, parseLogs);
+      preview.success = true;
+    } catch (error) {
+      preview.error = error;
+    }
+
+    return preview;
+  }
+
+  /**
+   * Collect the events the transaction would emit, without sending it
+   * Geth and Anvil report logs through debug_traceCall's callTracer; Hardhat
+   * only has the default tracer, whose LOG opcode steps are decoded instead.
+   * Returns null when the node supports neither.
+   */
+  async simulateEvents(transaction, parseLogs) {
+    if (typeof this.provider.send !== 'function') {
+      return null;
+    }
+
+    const rpcTransaction = toRpcTransaction(transaction);
+    try {
+      const trace = await this.provider.send('debug_traceCall', [
+        rpcTransaction,
+        'latest',
+        { tracer: 'callTracer', tracerConfig: { withLog: true } }
+      ]);
+      return parseLogs(collectTraceLogs(trace));
+    } catch (error) {
+      // No callTracer; try the default tracer
+    }
+
+    try {
+      const trace = await this.provider.send('debug_traceCall', [
+        rpcTransaction,
+        'latest',
+        { enableMemory: true, disableStorage: true }
+      ]);
+      return parseLogs(collectStructLogs(trace, transaction.to));
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Convert an ethers transaction request into JSON-RPC form
+ */
+function toRpcTransaction(transaction) {
+  const rpcTransaction = { from: transaction.from, to: transaction.to, data: transaction.data };
+  if (transaction.value) {
+    rpcTransaction.value = ethers.BigNumber.from(transaction.value).toHexString();
+  }
+  if (transaction.gasLimit) {
+    rpcTransaction.gas = ethers.BigNumber.from(transaction.gasLimit).toHexString();
+  }
+  return rpcTransaction;
+}
+
+/**
+ * Flatten the logs of a callTracer frame and its subcalls in execution order
+ */
+function collectTraceLogs(frame) {
+  if (!frame || frame.error) {
+    return [];
+  }
+
+  const calls = frame.calls || [];
+  const logs = [];
+  let callIndex = 0;
+
+  // `position` is the number of subcalls made before the log was emitted
+  for (const log of frame.logs || []) {
+    const position = log.position !== undefined ? Number(log.position) : 0;
+    while (callIndex < position && callIndex < calls.length) {
+      logs.push(...collectTraceLogs(calls[callIndex++]));
+    }
+    logs.push({ address: log.address, topics: log.topics, data: log.data });
+  }
+
+  while (callIndex < calls.length) {
+    logs.push(...collectTraceLogs(calls[callIndex++]));
+  }
+
+  return logs;
+}
+
+const CALL_OPS = ['CALL', 'CALLCODE', 'DELEGATECALL', 'STATICCALL'];
+const CREATE_OPS = ['CREATE', 'CREATE2'];
+
+/**
+ * Rebuild the logs of a default-tracer (struct log) trace
+ * Each call frame keeps its own logs and hands them to its parent only if it
+ * returned successfully, so logs of reverted subcalls are dropped like on chain
+ */
+function collectStructLogs(trace, to) {
+  if (!trace || trace.failed) {
+    return [];
+  }
+
+  const frames = [{ address: to, logs: [] }];
+  let pending = null;
+
+  for (const step of trace.structLogs || []) {
+    while (step.depth > frames.length) {
+      frames.push({ address: pending ? pending.address : null, create: Boolean(pending && pending.create), logs: [] });
+      pending = null;
+    }
+    while (step.depth < frames.length) {
+      const frame = frames.pop();
+      const result = stackItem(step.stack, 0);
+      if (!result.isZero()) {
+        if (frame.create) {
+          const address = ethers.utils.getAddress(ethers.utils.hexZeroPad(result.toHexString(), 20));
+          frame.logs.forEach((log) => { log.address = log.address || address; });
+        }
+        frames[frames.length - 1].logs.push(...frame.logs);
+      }
+    }
+
+    const frame = frames[frames.length - 1];
+    if (CALL_OPS.includes(step.op)) {
+      // DELEGATECALL and CALLCODE run in the caller's context
+      pending = {
+        address: step.op === 'CALL' || step.op === 'STATICCALL'
+          ? ethers.utils.getAddress(ethers.utils.hexZeroPad(stackItem(step.stack, 1).toHexString(), 20))
+          : frame.address
+      };
+    } else if (CREATE_OPS.includes(step.op)) {
+      pending = { address: null, create: true };
+    } else if (/^LOG[0-4]$/.test(step.op)) {
+      const offset = stackItem(step.stack, 0).toNumber();
+      const size = stackItem(step.stack, 1).toNumber();
+      const topics = [];
+      for (let i = 0; i < Number(step.op.slice(3)); i++) {
+        topics.push(ethers.utils.hexZeroPad(stackItem(step.stack, 2 + i).toHexString(), 32));
+      }
+      const memory = ethers.utils.arrayify('0x' + (step.memory || []).join(''));
+      const data = new Uint8Array(size);
+      data.set(memory.slice(offset, offset + size));
+      frame.logs.push({ address: frame.address, topics, data: ethers.utils.hexlify(data) });
+    }
+  }
+
+  return frames[0].logs;
+}
+
+/**
+ * The `index`-th item from the top of a struct log stack (listed bottom first)
+ */
+function stackItem(stack, index) {
+  const word = stack[stack.length - 1 - index];
+  return ethers.BigNumber.from(word.startsWith('0x') ? word : '0x' + word);
+}
+
+export default TransactionSimulator;
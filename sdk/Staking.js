@@ -0,0 +1,168 @@
+/**
+ * MetaLendToken staking module for the MetaLend SDK
+ * Stakes, unstakes and claims, projects rewards from the current
+ * stakingRewardRate and rebuilds claim history from StakingRewardsClaimed events
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { queryEventHistory, getBlockTimestamps } from './Events.js';
+import { InvalidParameterError, InvalidStateError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+export const PROJECTION_PERIODS = {
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60,
+  year: SECONDS_PER_YEAR
+};
+
+export const PAUSED_WARNING = 'MetaLendToken is paused: staking, unstaking and claiming revert until it is unpaused';
+
+/**
+ * Rewards accrued on `staked` over `seconds`, as MetaLendToken computes them
+ */
+export function calculateStakingRewards(staked, rewardRate, seconds) {
+  return ethers.BigNumber.from(staked)
+    .mul(rewardRate)
+    .mul(Math.max(Math.floor(seconds), 0))
+    .div(ethers.BigNumber.from(SECONDS_PER_YEAR).mul(PRECISION));
+}
+
+class StakingModule extends SdkModule {
+  constructor(sdk) {
+    super(sdk, 'metaLendToken');
+  }
+
+  /**
+   * Staked balance, unclaimed rewards and reward projections for an account
+   * Projections assume the current rate and no further claims; the contract
+   * applies whatever rate is set at claim time to the whole period since the
+   * last claim
+   */
+  async getStakingPosition(account) {
+    return this.read('get staking position', 'getStakedAmount', [account], async () => {
+      const block = await this.sdk.provider.getBlock('latest');
+      const overrides = { blockTag: block.number };
+
+      const [staked, pendingRewards, stakedSince, rewardRate, paused] = await this.sdk.multicall.all([
+        { contract: this.contract, method: 'getStakedAmount', args: [account] },
+        { contract: this.contract, method: 'getStakingRewards', args: [account] },
+        { contract: this.contract, method: 'stakingTimestamp', args: [account] },
+        { contract: this.contract, method: 'stakingRewardRate' },
+        { contract: this.contract, method: 'paused' }
+      ], overrides);
+
+      const since = Number(stakedSince);
+      const elapsed = since > 0 ? block.timestamp - since : 0;
+      const projections = {};
+      for (const [period, seconds] of Object.entries(PROJECTION_PERIODS)) {
+        projections[period] = since > 0
+          ? calculateStakingRewards(staked, rewardRate, elapsed + seconds).toString()
+          : '0';
+      }
+
+      return {
+        account,
+        staked: staked.toString(),
+        pendingRewards: pendingRewards.toString(),
+        rewardRate: rewardRate.toString(),
+        stakedSince: since > 0 ? since : null,
+        projections,
+        paused,
+        warning: paused ? PAUSED_WARNING : null,
+        blockNumber: block.number,
+        timestamp: block.timestamp
+      };
+    });
+  }
+
+  /**
+   * Rewards `amount` would earn over `seconds` at the current rate
+   */
+  async projectRewards(amount, seconds) {
+    return this.read('project staking rewards', 'stakingRewardRate', [], async () => {
+      const rewardRate = await this.contract.stakingRewardRate();
+      return calculateStakingRewards(amount, rewardRate, seconds).toString();
+    });
+  }
+
+  async getStakedAmount(account) {
+    return this.read('get staked amount', 'getStakedAmount', [account], async () => (
+      (await this.contract.getStakedAmount(account)).toString()
+    ));
+  }
+
+  async getStakingRewards(account) {
+    return this.read('get staking rewards', 'getStakingRewards', [account], async () => (
+      (await this.contract.getStakingRewards(account)).toString()
+    ));
+  }
+
+  /**
+   * Claimed rewards for an account, oldest first, with the running total
+   */
+  async getClaimHistory(account, options = {}) {
+    return this.read('get staking claim history', 'claimStakingRewards', [account], async () => {
+      const events = await queryEventHistory(this.contract, this.contract.filters.StakingRewardsClaimed(account), options);
+      const timestamps = await getBlockTimestamps(this.sdk.provider, events.map((event) => event.blockNumber));
+
+      let total = ethers.constants.Zero;
+      const claims = events.map((event) => {
+        total = total.add(event.args.amount);
+        return {
+          amount: event.args.amount.toString(),
+          totalClaimed: total.toString(),
+          blockNumber: event.blockNumber,
+          timestamp: timestamps.get(event.blockNumber),
+          transactionHash: event.transactionHash
+        };
+      });
+
+      return { account, totalClaimed: total.toString(), claims };
+    });
+  }
+
+  /**
+   * Stake tokens; unclaimed rewards are claimed first
+   */
+  async stake(amount, signer, options = {}) {
+    if (ethers.BigNumber.from(amount).isZero()) {
+      throw new InvalidParameterError('Invalid amount');
+    }
+    return this.write('stake', 'stake', [amount], signer, options);
+  }
+
+  /**
+   * Unstake tokens; unclaimed rewards are claimed first
+   */
+  async unstake(amount, signer, options = {}) {
+    if (ethers.BigNumber.from(amount).isZero()) {
+      throw new InvalidParameterError('Invalid amount');
+    }
+    return this.write('unstake', 'unstake', [amount], signer, options);
+  }
+
+  async claimStakingRewards(signer, options = {}) {
+    return this.write('claim staking rewards', 'claimStakingRewards', [], signer, options);
+  }
+
+  /**
+   * Every staking action moves or mints tokens, which MetaLendToken blocks
+   * while paused, so a paused token fails fast instead of sending a revert.
+   * Simulations still run so the preview shows the revert.
+   */
+  async write(action, method, args, signer, options) {
+    if (!options.simulate && await this.read('check token paused', 'paused', [], () => this.contract.paused())) {
+      throw new InvalidStateError(PAUSED_WARNING, {
+        reason: 'Pausable: paused',
+        context: { contract: this.contractName, method, args }
+      });
+    }
+    return super.write(action, method, args, signer, options);
+  }
+}
+
+export default StakingModule;
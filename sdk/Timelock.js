@@ -0,0 +1,449 @@
+/**
+ * TimelockController client for the MetaLend SDK
+ * Computes operation ids locally, schedules single and batch operations with
+ * decoded previews, lists the operation queue from CallScheduled/CallExecuted
+ * events and executes ready operations in predecessor order
+ */
+
+import { ethers } from 'ethers';
+import { describeCall } from './Proposals.js';
+import { queryEventHistory, getBlockTimestamps } from './Events.js';
+import { InvalidParameterError, InvalidStateError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+// TimelockController marks executed operations with timestamp 1
+const DONE_TIMESTAMP = 1;
+
+export const OPERATION_STATES = {
+  UNSET: 'unset',
+  PENDING: 'pending',
+  READY: 'ready',
+  DONE: 'done',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Id of a single-call operation, as TimelockController.hashOperation computes it
+ */
+export function hashOperation(target, value, data, predecessor = ethers.constants.HashZero, salt = ethers.constants.HashZero) {
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+    ['address', 'uint256', 'bytes', 'bytes32', 'bytes32'],
+    [target, value, data, predecessor, salt]
+  ));
+}
+
+/**
+ * Id of a batch operation, as TimelockController.hashOperationBatch computes it
+ */
+export function hashOperationBatch(targets, values, payloads, predecessor = ethers.constants.HashZero, salt = ethers.constants.HashZero) {
+  return ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(
+    ['address[]', 'uint256[]', 'bytes[]', 'bytes32', 'bytes32'],
+    [targets, values, payloads, predecessor, salt]
+  ));
+}
+
+/**
+ * Operation state from its stored timestamp, matching getOperationState
+ * Deleted timestamps of cancelled operations read as unset on-chain
+ */
+export function operationState(timestamp, now, cancelled = false) {
+  const value = Number(timestamp);
+  if (value === 0) {
+    return cancelled ? OPERATION_STATES.CANCELLED : OPERATION_STATES.UNSET;
+  }
+  if (value === DONE_TIMESTAMP) {
+    return OPERATION_STATES.DONE;
+  }
+  return value > now ? OPERATION_STATES.PENDING : OPERATION_STATES.READY;
+}
+
+/**
+ * Order operations so each runs after its predecessor
+ * Operations whose predecessor is neither done nor in `operations` are
+ * returned as blocked
+ */
+export function orderByPredecessor(operations, isDone = () => false) {
+  const byId = new Map(operations.map((operation) => [operation.id, operation]));
+  const ordered = [];
+  const blocked = [];
+  const visited = new Set();
+
+  const visit = (operation, path) => {
+    if (visited.has(operation.id)) {
+      return true;
+    }
+    if (path.has(operation.id)) {
+      blocked.push({ ...operation, reason: 'Predecessor cycle' });
+      visited.add(operation.id);
+      return false;
+    }
+
+    const { predecessor } = operation;
+    if (predecessor !== ethers.constants.HashZero && !isDone(predecessor)) {
+      const parent = byId.get(predecessor);
+      if (!parent || !visit(parent, new Set([...path, operation.id]))) {
+        blocked.push({ ...operation, reason: `Waiting for predecessor ${predecessor}` });
+        visited.add(operation.id);
+        return false;
+      }
+    }
+
+    visited.add(operation.id);
+    ordered.push(operation);
+    return true;
+  };
+
+  const queue = [...operations].sort((a, b) => a.readyAt - b.readyAt || a.blockNumber - b.blockNumber);
+  for (const operation of queue) {
+    visit(operation, new Set());
+  }
+  return { ordered, blocked };
+}
+
+/**
+ * Works with the TimelockController under `contractName` in sdk.contracts
+ */
+class TimelockClient extends SdkModule {
+  /**
+   * Build an operation from calls without sending anything
+   * Each call is { target, method, args, value } with `target` an SDK contract
+   * name, or { target, value, data } with a raw address and calldata
+   */
+  buildOperation(calls, { predecessor = ethers.constants.HashZero, salt = ethers.constants.HashZero } = {}) {
+    if (calls.length === 0) {
+      throw new InvalidParameterError('A timelock operation needs at least one call');
+    }
+
+    const encoded = calls.map((call) => this.encodeCall(call));
+    const targets = encoded.map((call) => call.target);
+    const values = encoded.map((call) => call.value);
+    const payloads = encoded.map((call) => call.data);
+    const batch = encoded.length > 1;
+
+    return {
+      id: batch
+        ? hashOperationBatch(targets, values, payloads, predecessor, salt)
+        : hashOperation(targets[0], values[0], payloads[0], predecessor, salt),
+      batch,
+      calls: encoded,
+      predecessor,
+      salt
+    };
+  }
+
+  /**
+   * Schedule a single or batch operation after `delay` seconds (default: the minimum delay)
+   * The result carries the operation with its id, decoded calls and readyAt,
+   * read back from the timelock once the schedule is mined. Simulations
+   * estimate readyAt from the latest block.
+   */
+  async schedule(calls, signer, options = {}) {
+    const { predecessor, salt, delay, ...writeOptions } = options;
+    const operation = this.buildOperation(calls, { predecessor, salt });
+
+    const [minDelay, timestamp, block] = await this.read('check timelock operation', 'getTimestamp', [operation.id], () => Promise.all([
+      this.contract.getMinDelay(),
+      this.contract.getTimestamp(operation.id),
+      this.sdk.provider.getBlock('latest')
+    ]));
+    const scheduleDelay = delay !== undefined ? ethers.BigNumber.from(delay) : minDelay;
+    if (scheduleDelay.lt(minDelay)) {
+      throw new InvalidParameterError('TimelockController: insufficient delay', {
+        reason: 'TimelockController: insufficient delay',
+        context: { delay: scheduleDelay.toString(), minDelay: minDelay.toString() }
+      });
+    }
+    if (!timestamp.isZero()) {
+      throw new InvalidStateError('TimelockController: operation already scheduled', {
+        reason: 'TimelockController: operation already scheduled',
+        context: { id: operation.id }
+      });
+    }
+
+    const args = operation.batch
+      ? [operation.calls.map((call) => call.target), operation.calls.map((call) => call.value), operation.calls.map((call) => call.data)]
+      : [operation.calls[0].target, operation.calls[0].value, operation.calls[0].data];
+    const result = await this.write(
+      operation.batch ? 'schedule timelock batch' : 'schedule timelock operation',
+      operation.batch ? 'scheduleBatch' : 'schedule',
+      [...args, operation.predecessor, operation.salt, scheduleDelay],
+      signer,
+      writeOptions
+    );
+
+    const readyAt = writeOptions.simulate
+      ? block.timestamp + scheduleDelay.toNumber()
+      : (await this.read('get timelock operation timestamp', 'getTimestamp', [operation.id], () => (
+        this.contract.getTimestamp(operation.id, { blockTag: result.blockNumber })
+      ))).toNumber();
+
+    return {
+      ...result,
+      operation: {
+        ...operation,
+        delay: scheduleDelay.toString(),
+        readyAt
+      }
+    };
+  }
+
+  /**
+   * Cancel a pending operation
+   */
+  async cancel(id, signer, options = {}) {
+    return this.write('cancel timelock operation', 'cancel', [id], signer, options);
+  }
+
+  /**
+   * Current state of one operation, with the seconds left until it is ready
+   */
+  async getOperationState(id) {
+    return this.read('get timelock operation state', 'getTimestamp', [id], async () => {
+      const [timestamp, block] = await Promise.all([
+        this.contract.getTimestamp(id),
+        this.sdk.provider.getBlock('latest')
+      ]);
+      const state = operationState(timestamp, block.timestamp);
+      const readyAt = timestamp.gt(DONE_TIMESTAMP) ? timestamp.toNumber() : null;
+      return {
+        id,
+        state,
+        readyAt,
+        secondsUntilReady: readyAt ? Math.max(readyAt - block.timestamp, 0) : null
+      };
+    });
+  }
+
+  /**
+   * Every scheduled operation with its calls, state and countdown, newest first
+   * `states` filters by state, e.g. ['pending', 'ready']; `resolveSalts` looks
+   * up each operation's salt, which execution needs
+   */
+  async getOperations({ states, resolveSalts = false, ...range } = {}) {
+    return this.read('get timelock operations', 'getTimestamp', [], async () => {
+      const block = await this.sdk.provider.getBlock('latest');
+      const options = { ...range, toBlock: range.toBlock !== undefined ? range.toBlock : block.number };
+      const { filters } = this.contract;
+
+      const [scheduled, executed, cancelled] = await Promise.all([
+        queryEventHistory(this.contract, filters.CallScheduled(), options),
+        queryEventHistory(this.contract, filters.CallExecuted(), options),
+        queryEventHistory(this.contract, filters.Cancelled(), options)
+      ]);
+
+      const operations = new Map();
+      for (const event of scheduled) {
+        const { id, index, target, value, data, predecessor, delay } = event.args;
+        if (!operations.has(id)) {
+          operations.set(id, {
+            id,
+            calls: [],
+            predecessor,
+            delay: delay.toString(),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            executedIn: null,
+            cancelled: false
+          });
+        }
+        operations.get(id).calls[index.toNumber()] = { target, value, data, ...this.decode(target, value, data) };
+      }
+      for (const event of executed) {
+        const operation = operations.get(event.args.id);
+        if (operation) {
+          operation.executedIn = event.transactionHash;
+        }
+      }
+      for (const event of cancelled) {
+        const operation = operations.get(event.args.id);
+        if (operation) {
+          operation.cancelled = true;
+        }
+      }
+
+      const list = [...operations.values()];
+      const [timestamps, scheduledAt] = await Promise.all([
+        this.sdk.multicall.all(list.map((operation) => ({
+          contract: this.contract,
+          method: 'getTimestamp',
+          args: [operation.id]
+        })), { blockTag: block.number }),
+        getBlockTimestamps(this.sdk.provider, list.map((operation) => operation.blockNumber))
+      ]);
+
+      let result = list.map((operation, index) => {
+        const timestamp = timestamps[index];
+        const scheduledTimestamp = scheduledAt.get(operation.blockNumber);
+        const readyAt = timestamp.gt(DONE_TIMESTAMP)
+          ? timestamp.toNumber()
+          : scheduledTimestamp + Number(operation.delay);
+        const state = operationState(timestamp, block.timestamp, operation.cancelled);
+        return {
+          ...operation,
+          batch: operation.calls.length > 1,
+          state,
+          scheduledAt: scheduledTimestamp,
+          readyAt,
+          secondsUntilReady: state === OPERATION_STATES.PENDING ? readyAt - block.timestamp : 0
+        };
+      });
+
+      if (states) {
+        result = result.filter((operation) => states.includes(operation.state));
+      }
+      if (resolveSalts) {
+        result = await Promise.all(result.map(async (operation) => ({ ...operation, salt: await this.resolveSalt(operation) })));
+      }
+
+      return result.sort((a, b) => b.blockNumber - a.blockNumber);
+    });
+  }
+
+  /**
+   * Execute an operation; `operation` comes from getOperations or buildOperation
+   * and must carry its salt. Whether it was scheduled as a batch is worked out
+   * from its id, since a one-call batch hashes differently from schedule()
+   */
+  async execute(operation, signer, options = {}) {
+    const { predecessor, calls } = operation;
+    const salt = operation.salt !== undefined ? operation.salt : await this.resolveSalt(operation);
+    if (salt === null) {
+      throw new InvalidParameterError(`Salt for timelock operation ${operation.id} is unknown; pass it as operation.salt`);
+    }
+
+    const targets = calls.map((call) => call.target);
+    const values = calls.map((call) => ethers.BigNumber.from(call.value));
+    const payloads = calls.map((call) => call.data);
+    const single = calls.length === 1 && hashOperation(targets[0], values[0], payloads[0], predecessor, salt) === operation.id;
+    if (!single && hashOperationBatch(targets, values, payloads, predecessor, salt) !== operation.id) {
+      throw new InvalidParameterError(`Calls, predecessor and salt do not hash to operation ${operation.id}`);
+    }
+
+    const totalValue = values.reduce((total, value) => total.add(value), ethers.constants.Zero);
+    const overrides = totalValue.isZero() ? [] : [{ value: totalValue }];
+    return this.write(
+      'execute timelock operation',
+      single ? 'execute' : 'executeBatch',
+      single
+        ? [targets[0], values[0], payloads[0], predecessor, salt, ...overrides]
+        : [targets, values, payloads, predecessor, salt, ...overrides],
+      signer,
+      options
+    );
+  }
+
+  /**
+   * Execute every ready operation, each after its predecessor
+   * Predecessors scheduled outside the scanned block range are checked with
+   * isOperationDone. A failed execution throws; operations waiting on a
+   * predecessor that is not done or ready, or whose salt is unknown, are
+   * reported as skipped
+   */
+  async executeReady(signer, options = {}) {
+    const { fromBlock, toBlock, maxBlockRange, ...writeOptions } = options;
+    const operations = await this.getOperations({
+      states: [OPERATION_STATES.READY, OPERATION_STATES.DONE],
+      fromBlock,
+      toBlock,
+      maxBlockRange
+    });
+    const done = new Set(operations.filter((operation) => operation.state === OPERATION_STATES.DONE).map((operation) => operation.id));
+    const ready = operations.filter((operation) => operation.state === OPERATION_STATES.READY);
+
+    const listed = new Set(operations.map((operation) => operation.id));
+    const unknown = [...new Set(ready.map((operation) => operation.predecessor))]
+      .filter((id) => id !== ethers.constants.HashZero && !listed.has(id));
+    const unknownDone = await this.read('check timelock predecessors', 'isOperationDone', unknown, () => (
+      this.sdk.multicall.all(unknown.map((id) => ({ contract: this.contract, method: 'isOperationDone', args: [id] })))
+    ));
+    unknown.filter((_, index) => unknownDone[index]).forEach((id) => done.add(id));
+
+    const { ordered, blocked } = orderByPredecessor(ready, (id) => done.has(id));
+    const executed = [];
+    const skipped = blocked.map(({ id, reason }) => ({ id, reason }));
+
+    for (const operation of ordered) {
+      if (operation.predecessor !== ethers.constants.HashZero && !done.has(operation.predecessor)) {
+        skipped.push({ id: operation.id, reason: `Predecessor ${operation.predecessor} was skipped` });
+        continue;
+      }
+
+      const salt = await this.resolveSalt(operation);
+      if (salt === null) {
+        skipped.push({ id: operation.id, reason: 'Unknown salt' });
+        continue;
+      }
+
+      const result = await this.execute({ ...operation, salt }, signer, writeOptions);
+      executed.push({ id: operation.id, result });
+      done.add(operation.id);
+    }
+
+    return { executed, skipped };
+  }
+
+  /**
+   * Find an operation's salt: from CallSalt events where the timelock emits
+   * them, from the calldata of the scheduling transaction, or the zero salt.
+   * Returns null when none of them hashes to the operation id.
+   */
+  async resolveSalt(operation) {
+    const candidates = [];
+
+    if (this.contract.interface.events['CallSalt(bytes32,bytes32)']) {
+      const events = await this.contract.queryFilter(this.contract.filters.CallSalt(operation.id), operation.blockNumber, operation.blockNumber);
+      candidates.push(...events.map((event) => event.args.salt));
+    }
+
+    if (operation.transactionHash) {
+      const transaction = await this.sdk.provider.getTransaction(operation.transactionHash);
+      if (transaction && transaction.to && transaction.to.toLowerCase() === this.contract.address.toLowerCase()) {
+        try {
+          const parsed = this.contract.interface.parseTransaction(transaction);
+          if (parsed.args.salt) {
+            candidates.push(parsed.args.salt);
+          }
+        } catch (error) {
+          // Scheduled through another contract, e.g. a multisig
+        }
+      }
+    }
+
+    candidates.push(ethers.constants.HashZero);
+
+    const targets = operation.calls.map((call) => call.target);
+    const values = operation.calls.map((call) => call.value);
+    const payloads = operation.calls.map((call) => call.data);
+    return candidates.find((salt) => (
+      (operation.calls.length === 1 && hashOperation(targets[0], values[0], payloads[0], operation.predecessor, salt) === operation.id) ||
+      hashOperationBatch(targets, values, payloads, operation.predecessor, salt) === operation.id
+    )) || null;
+  }
+
+  encodeCall(call) {
+    if (call.data) {
+      return { target: call.target, value: ethers.BigNumber.from(call.value || 0), data: call.data, ...this.decode(call.target, call.value || 0, call.data) };
+    }
+
+    const contract = this.sdk.contracts[call.target];
+    if (!contract) {
+      throw new InvalidParameterError(`Unknown contract: ${call.target}`);
+    }
+    const data = contract.interface.encodeFunctionData(call.method, call.args || []);
+    const value = ethers.BigNumber.from(call.value || 0);
+    return { target: contract.address, value, data, ...this.decode(contract.address, value, data) };
+  }
+
+  /**
+   * Decoded call and a one-line description, using the target's SDK ABI
+   */
+  decode(target, value, data) {
+    const call = this.sdk.proposals.decodeCall(target, ethers.BigNumber.from(value), data);
+    return {
+      decoded: call.method ? { contract: call.targetName, method: call.method, signature: call.signature, args: call.args } : null,
+      description: describeCall(call)
+    };
+  }
+}
+
+export default TimelockClient;
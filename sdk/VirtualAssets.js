@@ -0,0 +1,239 @@
+/**
+ * VirtualAssetManager module for the MetaLend SDK
+ * Reads registered virtual assets and explains their valuation as
+ * base value × rarity × utility × market multiplier, plus the owner and
+ * oracle helpers that maintain multipliers, supported types and valuations
+ */
+
+import { ethers } from 'ethers';
+import { PRECISION } from './Health.js';
+import { InvalidParameterError, NotFoundError } from './errors.js';
+import SdkModule from './SdkModule.js';
+
+// IVirtualAssetManager.AssetType
+export const ASSET_TYPES = {
+  NFT: 0,
+  VIRTUAL_REAL_ESTATE: 1,
+  GAMING_ASSET: 2,
+  METAVERSE_LAND: 3,
+  VIRTUAL_CURRENCY: 4
+};
+
+// VirtualAssetManager.setMarketMultiplier upper bound (2x)
+const MAX_MARKET_MULTIPLIER = 20000;
+
+/**
+ * Name of an AssetType value, e.g. 1 => 'VIRTUAL_REAL_ESTATE'
+ */
+export function assetTypeName(assetType) {
+  const value = Number(assetType);
+  return Object.keys(ASSET_TYPES).find((name) => ASSET_TYPES[name] === value) || `UNKNOWN(${value})`;
+}
+
+/**
+ * Accept an AssetType name or number and return the number
+ */
+export function toAssetType(assetType) {
+  if (typeof assetType === 'string' && ASSET_TYPES[assetType] !== undefined) {
+    return ASSET_TYPES[assetType];
+  }
+  const value = Number(assetType);
+  if (!Object.values(ASSET_TYPES).includes(value)) {
+    throw new InvalidParameterError(`Unknown asset type: ${assetType}`);
+  }
+  return value;
+}
+
+/**
+ * Render a basis point multiplier as "1.2x"
+ */
+export function formatMultiplier(bps) {
+  return `${Number(bps) / PRECISION}x`;
+}
+
+/**
+ * Turn an AssetValuation struct into a readable breakdown
+ * Intermediate values are rounded per step; `finalValue` is the contract's own result
+ */
+export function formatValuation(valuation, { rarityScore, utilityScore } = {}) {
+  const baseValue = ethers.BigNumber.from(valuation.baseValue);
+  const afterRarity = baseValue.mul(valuation.rarityMultiplier).div(PRECISION);
+  const afterUtility = afterRarity.mul(valuation.utilityMultiplier).div(PRECISION);
+  const afterMarket = afterUtility.mul(valuation.marketMultiplier).div(PRECISION);
+
+  return {
+    baseValue: baseValue.toString(),
+    rarityScore: rarityScore !== undefined ? rarityScore.toString() : null,
+    rarityMultiplier: valuation.rarityMultiplier.toString(),
+    utilityScore: utilityScore !== undefined ? utilityScore.toString() : null,
+    utilityMultiplier: valuation.utilityMultiplier.toString(),
+    marketMultiplier: valuation.marketMultiplier.toString(),
+    finalValue: valuation.finalValue.toString(),
+    confidence: valuation.confidence.toString(),
+    steps: [
+      { label: 'base value', value: baseValue.toString() },
+      { label: `× rarity ${formatMultiplier(valuation.rarityMultiplier)}`, value: afterRarity.toString() },
+      { label: `× utility ${formatMultiplier(valuation.utilityMultiplier)}`, value: afterUtility.toString() },
+      { label: `× market ${formatMultiplier(valuation.marketMultiplier)}`, value: afterMarket.toString() }
+    ],
+    summary: `${ethers.utils.formatEther(baseValue)} × ${formatMultiplier(valuation.rarityMultiplier)} rarity` +
+      ` × ${formatMultiplier(valuation.utilityMultiplier)} utility × ${formatMultiplier(valuation.marketMultiplier)} market` +
+      ` = ${ethers.utils.formatEther(valuation.finalValue)} (${Number(valuation.confidence) / 100}% confidence)`
+  };
+}
+
+function formatVirtualAsset(virtualAssetId, info) {
+  return {
+    id: virtualAssetId.toString(),
+    assetType: Number(info.assetType),
+    assetTypeName: assetTypeName(info.assetType),
+    assetContract: info.assetContract,
+    assetId: info.assetId.toString(),
+    value: info.value.toString(),
+    rarityScore: info.rarityScore.toString(),
+    utilityScore: info.utilityScore.toString(),
+    isActive: info.isActive,
+    timestamp: info.timestamp.toString(),
+    metadata: info.metadata
+  };
+}
+
+class VirtualAssetModule extends SdkModule {
+  constructor(sdk) {
+    super(sdk, 'virtualAssetManager');
+  }
+
+  /**
+   * Get a registered virtual asset by its VirtualAssetManager id
+   */
+  async getVirtualAsset(virtualAssetId) {
+    return this.read('get virtual asset', 'getVirtualAssetInfo', [virtualAssetId], async () => {
+      const info = await this.contract.getVirtualAssetInfo(virtualAssetId);
+      if (info.assetContract === ethers.constants.AddressZero) {
+        throw new NotFoundError(`Virtual asset ${virtualAssetId} does not exist`);
+      }
+      return formatVirtualAsset(virtualAssetId, info);
+    });
+  }
+
+  /**
+   * Get the virtual asset id for an asset contract and token id, or null if unregistered
+   */
+  async getVirtualAssetByContract(assetContract, assetId) {
+    return this.read('get virtual asset by contract', 'getVirtualAssetByContract', [assetContract, assetId], async () => {
+      const virtualAssetId = await this.contract.getVirtualAssetByContract(assetContract, assetId);
+      return virtualAssetId.isZero() ? null : virtualAssetId.toString();
+    });
+  }
+
+  /**
+   * Get an asset's valuation as base value × rarity × utility × market = final value
+   */
+  async getAssetValuation(assetContract, assetId) {
+    return this.read('get asset valuation', 'getAssetValuation', [assetContract, assetId], async () => {
+      const [valuation, rarityScore, utilityScore] = await this.sdk.multicall.all([
+        { contract: this.contract, method: 'getAssetValuation', args: [assetContract, assetId] },
+        { contract: this.contract, method: 'calculateRarityScore', args: [assetContract, assetId] },
+        { contract: this.contract, method: 'calculateUtilityScore', args: [assetContract, assetId] }
+      ]);
+      return {
+        assetContract,
+        assetId: assetId.toString(),
+        ...formatValuation(valuation, { rarityScore, utilityScore })
+      };
+    });
+  }
+
+  /**
+   * Rarity score (1-100) used for the rarity multiplier
+   */
+  async calculateRarityScore(assetContract, assetId) {
+    return this.read('calculate rarity score', 'calculateRarityScore', [assetContract, assetId], async () => (
+      (await this.contract.calculateRarityScore(assetContract, assetId)).toString()
+    ));
+  }
+
+  /**
+   * Utility score (1-100) used for the utility multiplier
+   */
+  async calculateUtilityScore(assetContract, assetId) {
+    return this.read('calculate utility score', 'calculateUtilityScore', [assetContract, assetId], async () => (
+      (await this.contract.calculateUtilityScore(assetContract, assetId)).toString()
+    ));
+  }
+
+  /**
+   * Market multiplier for an asset type, in basis points
+   */
+  async getMarketMultiplier(assetType) {
+    const type = toAssetType(assetType);
+    return this.read('get market multiplier', 'getMarketMultiplier', [type], async () => (
+      (await this.contract.getMarketMultiplier(type)).toString()
+    ));
+  }
+
+  /**
+   * Market multiplier and support status for every asset type
+   */
+  async getAssetTypes() {
+    return this.read('get asset types', 'getMarketMultiplier', [], async () => {
+      const types = Object.values(ASSET_TYPES);
+      const results = await this.sdk.multicall.all(types.flatMap((type) => [
+        { contract: this.contract, method: 'getMarketMultiplier', args: [type] },
+        { contract: this.contract, method: 'isAssetTypeSupported', args: [type] }
+      ]));
+      return types.map((type, index) => ({
+        assetType: type,
+        assetTypeName: assetTypeName(type),
+        marketMultiplier: results[index * 2].toString(),
+        supported: results[index * 2 + 1]
+      }));
+    });
+  }
+
+  /**
+   * Register an asset the signer owns (ERC721) or holds (ERC1155)
+   */
+  async registerVirtualAsset(assetContract, assetId, assetType, metadata, signer, options = {}) {
+    return this.sdk.registerVirtualAsset(assetContract, assetId, assetType, metadata, signer, options);
+  }
+
+  /**
+   * Owner only: set an asset type's market multiplier (basis points, up to 2x)
+   */
+  async setMarketMultiplier(assetType, multiplier, signer, options = {}) {
+    const value = ethers.BigNumber.from(multiplier);
+    if (value.isZero() || value.gt(MAX_MARKET_MULTIPLIER)) {
+      throw new InvalidParameterError('Invalid multiplier');
+    }
+    return this.write('set market multiplier', 'setMarketMultiplier', [toAssetType(assetType), value], signer, options);
+  }
+
+  /**
+   * Owner only: allow or stop registrations of an asset type
+   */
+  async setAssetTypeSupport(assetType, supported, signer, options = {}) {
+    return this.write('set asset type support', 'setAssetTypeSupport', [toAssetType(assetType), supported], signer, options);
+  }
+
+  /**
+   * Oracle only: recompute and store valuations for several assets
+   * `assets` is a list of { assetContract, assetId, assetType }
+   */
+  async batchUpdateValuations(assets, signer, options = {}) {
+    return this.write('batch update valuations', 'batchUpdateValuations', [
+      assets.map((asset) => asset.assetContract),
+      assets.map((asset) => asset.assetId),
+      assets.map((asset) => toAssetType(asset.assetType))
+    ], signer, options);
+  }
+
+  /**
+   * Owner only: deactivate a virtual asset so it can no longer back loans
+   */
+  async deactivateVirtualAsset(virtualAssetId, signer, options = {}) {
+    return this.write('deactivate virtual asset', 'deactivateVirtualAsset', [virtualAssetId], signer, options);
+  }
+}
+
+export default VirtualAssetModule;
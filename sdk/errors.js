@@ -0,0 +1,373 @@
+/**
+ * Error taxonomy for the MetaLend SDK
+ * Decodes contract revert data into typed errors so callers can tell protocol
+ * failures apart without matching on message strings
+ */
+
+import { ethers } from 'ethers';
+
+// Error(string) and Panic(uint256) selectors
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x31: 'Pop on empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to uninitialized function'
+};
+
+/**
+ * Base class for every error thrown by the SDK
+ * `context` carries the contract, method, args and transaction involved
+ */
+export class MetaLendError extends Error {
+  constructor(message, { reason = null, data = null, context = {}, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.data = data;
+    this.context = context;
+    this.cause = cause;
+  }
+
+  get transactionHash() {
+    return this.context.transactionHash || null;
+  }
+}
+
+/**
+ * A revert whose reason does not belong to any more specific category
+ */
+export class ContractRevertError extends MetaLendError {}
+
+/**
+ * Pool liquidity or LP shares cannot cover the request
+ */
+export class InsufficientLiquidityError extends MetaLendError {}
+
+/**
+ * The caller's token balance, allowance or stake is too low
+ */
+export class InsufficientFundsError extends MetaLendError {}
+
+/**
+ * The NFT collection is not enabled in MetaLend or the oracle
+ */
+export class UnsupportedCollectionError extends MetaLendError {}
+
+/**
+ * The asset, asset type or lending token is not accepted
+ */
+export class UnsupportedAssetError extends MetaLendError {}
+
+/**
+ * The caller lacks the role, ownership or approval the call requires
+ */
+export class NotAuthorizedError extends MetaLendError {}
+
+/**
+ * An oracle price update moved further than MAX_PRICE_DEVIATION
+ */
+export class OracleDeviationError extends MetaLendError {}
+
+/**
+ * Collateral is inactive, unhealthy, already pledged or over the LTV limit
+ */
+export class CollateralError extends MetaLendError {}
+
+/**
+ * The liquidation cannot be triggered or executed yet
+ */
+export class LiquidationError extends MetaLendError {}
+
+/**
+ * A proposal or vote is not valid in the proposal's current state
+ */
+export class GovernanceError extends MetaLendError {}
+
+/**
+ * The referenced loan, asset, proposal or transaction does not exist
+ */
+export class NotFoundError extends MetaLendError {}
+
+/**
+ * The operation conflicts with current on-chain state (already done, not ready, paused)
+ */
+export class InvalidStateError extends MetaLendError {}
+
+/**
+ * An argument was rejected by the contract's input validation
+ */
+export class InvalidParameterError extends MetaLendError {}
+
+/**
+ * The EVM panicked (overflow, division by zero, bad index)
+ */
+export class PanicError extends MetaLendError {}
+
+/**
+ * The provider is connected to a different chain than the SDK network
+ */
+export class NetworkMismatchError extends MetaLendError {}
+
+/**
+ * A transaction was not mined in time and was cancelled or given up on
+ */
+export class TransactionTimeoutError extends MetaLendError {}
+
+// Exact revert strings raised by the contracts in contracts/
+const REVERT_REASONS = {
+  // LoanPool
+  'Insufficient liquidity': InsufficientLiquidityError,
+  'Insufficient shares': InsufficientLiquidityError,
+  'Loan not active': InvalidStateError,
+  'Not loan borrower': NotAuthorizedError,
+
+  // Balances and allowances
+  'Insufficient balance': InsufficientFundsError,
+  'Insufficient staked amount': InsufficientFundsError,
+  'No asset balance': InsufficientFundsError,
+  'ERC20: transfer amount exceeds balance': InsufficientFundsError,
+  'ERC20: insufficient allowance': InsufficientFundsError,
+  'ERC20: burn amount exceeds balance': InsufficientFundsError,
+  'ERC1155: insufficient balance for transfer': InsufficientFundsError,
+  'ERC1155: burn amount exceeds balance': InsufficientFundsError,
+  'SafeERC20: low-level call failed': InsufficientFundsError,
+
+  // MetaLend and NFTOracle
+  'NFT collection not supported': UnsupportedCollectionError,
+  'Collection not supported': UnsupportedCollectionError,
+  'Asset not supported': UnsupportedAssetError,
+  'Asset mismatch': UnsupportedAssetError,
+  'Asset type not supported': UnsupportedAssetError,
+  'Asset not upgradeable': UnsupportedAssetError,
+  'Asset not tradeable': UnsupportedAssetError,
+  'Price deviation too high': OracleDeviationError,
+
+  // CollateralManager and EnhancedCollateralManager
+  'Collateral not active': CollateralError,
+  'Collateral does not exist': CollateralError,
+  'Collateral not healthy': CollateralError,
+  'NFT already used as collateral': CollateralError,
+  'Asset already used as collateral': CollateralError,
+  'Invalid collateral value': CollateralError,
+  'Loan amount exceeds threshold': CollateralError,
+  'Virtual asset not active': CollateralError,
+  'Asset not registered in virtual asset manager': CollateralError,
+
+  // LiquidationEngine
+  'Not eligible for liquidation': LiquidationError,
+  'Already liquidated': LiquidationError,
+  'Liquidation delay not met': LiquidationError,
+
+  // GovernanceDAO
+  'Insufficient voting power': GovernanceError,
+  'No voting power': GovernanceError,
+  'Voting not started': GovernanceError,
+  'Voting ended': GovernanceError,
+  'Voting not ended': GovernanceError,
+  'Already voted': GovernanceError,
+  'Invalid vote': GovernanceError,
+  'Proposal not succeeded': GovernanceError,
+  'Cannot cancel': GovernanceError,
+  'Not proposer or owner': NotAuthorizedError,
+
+  // TimelockController
+  'TimelockController: insufficient delay': InvalidParameterError,
+
+  // Access control
+  'Not authorized': NotAuthorizedError,
+  'Not asset owner': NotAuthorizedError,
+  'Not property owner': NotAuthorizedError,
+  'Not platform owner': NotAuthorizedError,
+  'not owner': NotAuthorizedError,
+  'Ownable: caller is not the owner': NotAuthorizedError,
+  'ERC721: caller is not token owner or approved': NotAuthorizedError,
+  'ERC721: approve caller is not token owner or approved for all': NotAuthorizedError,
+  'ERC721: transfer from incorrect owner': NotAuthorizedError,
+  'ERC1155: caller is not token owner or approved': NotAuthorizedError,
+  'TimelockController: caller must be timelock': NotAuthorizedError,
+
+  // Missing records
+  'Asset not registered': NotFoundError,
+  'Asset not integrated': NotFoundError,
+  'User profile not found': NotFoundError,
+  'ERC721: invalid token ID': NotFoundError,
+  'Governor: unknown proposal id': NotFoundError,
+
+  // State conflicts
+  'Pausable: paused': InvalidStateError,
+  'Pausable: not paused': InvalidStateError,
+  'ReentrancyGuard: reentrant call': InvalidStateError,
+  'No staking position': InvalidStateError,
+  'Asset not active': InvalidStateError,
+  'Platform not active': InvalidStateError,
+  'Platform not registered': InvalidStateError,
+  'Building already exists': InvalidStateError,
+  'cannot execute tx': InvalidStateError,
+  'tx failed': InvalidStateError,
+  'TimelockController: operation is not ready': InvalidStateError,
+  'TimelockController: missing dependency': InvalidStateError,
+  'TimelockController: cannot cancel': InvalidStateError,
+  'TimelockController: underlying transaction reverted': InvalidStateError
+};
+
+// Families of revert strings matched by shape, checked after exact matches
+const REVERT_PATTERNS = [
+  [/^AccessControl: account .* is missing role/, NotAuthorizedError],
+  [/^Only /, NotAuthorizedError],
+  [/does not exist$/, NotFoundError],
+  [/^Invalid |^invalid /, InvalidParameterError],
+  [/too (high|long)$/, InvalidParameterError],
+  [/length mismatch$/, InvalidParameterError],
+  [/^Max supply/, InvalidParameterError],
+  [/already (exists|registered|integrated|executed|confirmed|scheduled|minted)$/, InvalidStateError],
+  [/^Governor: proposal /, GovernanceError],
+  [/^Governor\w*: vote already cast$/, GovernanceError],
+  [/^(ERC20|ERC721|ERC1155)\w*: /, InvalidParameterError]
+];
+
+/**
+ * Pick the error class for a decoded revert reason
+ */
+export function errorClassForReason(reason) {
+  if (REVERT_REASONS[reason]) {
+    return REVERT_REASONS[reason];
+  }
+
+  for (const [pattern, ErrorClass] of REVERT_PATTERNS) {
+    if (pattern.test(reason)) {
+      return ErrorClass;
+    }
+  }
+
+  return ContractRevertError;
+}
+
+/**
+ * Find raw revert data anywhere in an ethers/provider error object
+ */
+export function extractRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    const { data } = current;
+    if (typeof data === 'string' && ethers.utils.isHexString(data) && data.length >= 10) {
+      return data;
+    }
+    if (data && typeof data === 'object' && typeof data.data === 'string') {
+      queue.push(data);
+    }
+
+    // JSON-RPC bodies carry the revert payload as a serialized string
+    if (typeof current.body === 'string') {
+      try {
+        queue.push(JSON.parse(current.body).error);
+      } catch (e) {
+        // Not JSON, ignore
+      }
+    }
+
+    queue.push(current.error, current.cause);
+  }
+
+  return null;
+}
+
+/**
+ * Decode revert data into { reason, args, signature }
+ * Error(string) and Panic(uint256) are handled directly; custom errors are
+ * resolved against the supplied contract interfaces
+ */
+export function decodeRevertData(data, interfaces = []) {
+  if (!data || data === '0x') {
+    return null;
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const payload = ethers.utils.hexDataSlice(data, 4);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], payload);
+    return { reason, args: [reason], signature: 'Error(string)' };
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], payload);
+    const reason = PANIC_REASONS[code.toNumber()] || `Panic 0x${code.toHexString().slice(2)}`;
+    return { reason, args: [code], signature: 'Panic(uint256)', panic: true };
+  }
+
+  for (const contractInterface of interfaces) {
+    try {
+      const parsed = contractInterface.parseError(data);
+      return { reason: parsed.name, args: parsed.args, signature: parsed.signature };
+    } catch (e) {
+      // Not declared by this contract, try the next one
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Recover a revert reason from node error messages when no data is attached
+ */
+function reasonFromMessage(error) {
+  if (typeof error.reason === 'string' && error.reason.length > 0) {
+    return error.reason;
+  }
+
+  const message = error.message || '';
+  const match = message.match(/reverted with reason string '([^']*)'/) ||
+    message.match(/execution reverted: ([^"\n]*)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Convert any failure into a typed MetaLendError
+ * `action` describes what the SDK was doing ("deposit collateral and borrow")
+ * and is kept as the message prefix so existing log output stays familiar
+ */
+export function toMetaLendError(error, action, context = {}, interfaces = []) {
+  if (error instanceof MetaLendError) {
+    return error;
+  }
+
+  const data = extractRevertData(error);
+  const decoded = decodeRevertData(data, interfaces);
+  const reason = decoded ? decoded.reason : reasonFromMessage(error);
+
+  const transactionHash = context.transactionHash ||
+    error.transactionHash ||
+    (error.receipt && error.receipt.transactionHash) ||
+    (error.transaction && error.transaction.hash) ||
+    null;
+  const fullContext = { ...context, transactionHash };
+
+  let ErrorClass = MetaLendError;
+  if (decoded && decoded.panic) {
+    ErrorClass = PanicError;
+  } else if (reason) {
+    ErrorClass = errorClassForReason(reason);
+  }
+
+  return new ErrorClass(`Failed to ${action}: ${reason || error.message}`, {
+    reason,
+    data: decoded ? { selector: data.slice(0, 10), signature: decoded.signature, args: decoded.args } : null,
+    context: fullContext,
+    cause: error
+  });
+}
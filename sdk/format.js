@@ -0,0 +1,34 @@
+/**
+ * Value formatting helpers shared by the MetaLend SDK modules
+ * The SDK returns numbers as decimal strings so they survive JSON serialization
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Convert a decoded contract value into plain JSON-friendly data
+ * BigNumbers become decimal strings, structs with named fields become objects
+ */
+export function formatValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+
+  if (Array.isArray(value)) {
+    const names = Object.keys(value).filter((key) => Number.isNaN(Number(key)));
+    if (names.length > 0 && names.length === value.length) {
+      return Object.fromEntries(names.map((name) => [name, formatValue(value[name])]));
+    }
+    return value.map(formatValue);
+  }
+
+  return value;
+}
+
+/**
+ * Format a decoded function result, unwrapping single unnamed return values
+ */
+export function formatResult(result) {
+  const formatted = formatValue(result);
+  return Array.isArray(formatted) && formatted.length === 1 ? formatted[0] : formatted;
+}
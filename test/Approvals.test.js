@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("SDK ApprovalManager", function () {
+  let ApprovalManager;
+  let FeeManager;
+  let approvals;
+  let token;
+  let owner;
+  let spender;
+
+  const gwei = (amount) => ethers.utils.parseUnits(amount, "gwei");
+  const fixed = { type: "fixed", maxFeePerGas: gwei("100"), maxPriorityFeePerGas: gwei("2") };
+
+  before(async function () {
+    ({ default: ApprovalManager } = await import("../sdk/Approvals.js"));
+    ({ default: FeeManager } = await import("../sdk/Fees.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, spender] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Mock USDC", "USDC", 6, ethers.utils.parseUnits("1000000", 6));
+    await token.deployed();
+
+    approvals = new ApprovalManager(ethers.provider);
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should skip an allowance that is already in place", async function () {
+    await token.approve(spender.address, 100);
+    const steps = [];
+
+    const receipt = await approvals.ensureERC20Allowance(token.address, 100, spender.address, owner, {
+      onApprovalStep: (step) => steps.push(step.status),
+    });
+
+    expect(receipt).to.equal(null);
+    expect(steps).to.deep.equal(["skipped"]);
+  });
+
+  it("Should approve the missing allowance and report each step", async function () {
+    const steps = [];
+
+    const receipt = await approvals.ensureERC20Allowance(token.address, 100, spender.address, owner, {
+      onApprovalStep: (step) => steps.push(step),
+    });
+
+    expect(await token.allowance(owner.address, spender.address)).to.equal(100);
+    expect(steps.map((step) => step.status)).to.deep.equal(["submitted", "confirmed"]);
+    expect(steps[1].transactionHash).to.equal(receipt.transactionHash);
+  });
+
+  it("Should send through the fee manager and replace a stuck approval", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const feeManager = new FeeManager(ethers.provider, { strategy: fixed, timeout: 300, pollInterval: 50 });
+    const steps = [];
+    const events = [];
+
+    const receipt = await approvals.ensureERC20Allowance(token.address, 100, spender.address, owner, {
+      feeManager,
+      onApprovalStep: (step) => steps.push(step),
+      onTransactionEvent: (event) => {
+        events.push(event);
+        if (event.type === "replaced") {
+          network.provider.send("evm_mine");
+        }
+      },
+    });
+
+    expect(events.map((event) => event.type)).to.deep.equal(["submitted", "replaced", "mined", "confirmed"]);
+    expect(steps.map((step) => step.status)).to.deep.equal(["submitted", "confirmed"]);
+    expect(steps[0].transactionHash).to.equal(events[0].hash);
+    expect(receipt.transactionHash).to.equal(events[1].hash);
+    expect(await token.allowance(owner.address, spender.address)).to.equal(100);
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SDK ReadCache", function () {
+  let ReadCache;
+  let loanPool;
+  let collateralManager;
+  let user1;
+  let loads;
+
+  const usdc = (amount) => ethers.utils.parseUnits(amount, 6);
+
+  // Loaders count how often they reach the node
+  const poolInfo = (overrides) => {
+    loads++;
+    return loanPool.getPoolInfo(overrides).then((info) => info.totalBorrowed.toString());
+  };
+  const userCollaterals = (overrides) => {
+    loads++;
+    return collateralManager.getUserCollaterals(user1.address, overrides).then((ids) => ids.map(String));
+  };
+  const borrow = async (amount) => {
+    const receipt = await (await loanPool.connect(user1).createLoan(1, usdc(amount), 30 * 24 * 60 * 60)).wait();
+    return { events: receipt.events.filter((event) => event.event).map((event) => ({ name: event.event })), receipt };
+  };
+
+  before(async function () {
+    ({ default: ReadCache } = await import("../sdk/Cache.js"));
+  });
+
+  beforeEach(async function () {
+    [, user1] = await ethers.getSigners();
+    loads = 0;
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockAsset = await MockERC20.deploy("Mock USDC", "USDC", 6, usdc("1000000"));
+    await mockAsset.deployed();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    const mockNFT = await MockERC721.deploy("Mock NFT", "MNFT");
+    await mockNFT.deployed();
+
+    const NFTOracle = await ethers.getContractFactory("NFTOracle");
+    const nftOracle = await NFTOracle.deploy("0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419");
+    await nftOracle.deployed();
+
+    const CollateralManager = await ethers.getContractFactory("CollateralManager");
+    collateralManager = await CollateralManager.deploy(nftOracle.address);
+    await collateralManager.deployed();
+
+    const LoanPool = await ethers.getContractFactory("LoanPool");
+    loanPool = await LoanPool.deploy(mockAsset.address, collateralManager.address);
+    await loanPool.deployed();
+
+    await mockAsset.approve(loanPool.address, usdc("100000"));
+    await loanPool.provideLiquidity(usdc("100000"));
+
+    await mockNFT["mint(address,uint256)"](user1.address, 1);
+    await mockNFT.connect(user1).approve(collateralManager.address, 1);
+    await collateralManager.connect(user1).depositCollateral(mockNFT.address, 1, ethers.utils.parseEther("1"));
+  });
+
+  it("Should serve a repeated read at the same block from the cache", async function () {
+    const cache = new ReadCache({ provider: ethers.provider });
+
+    const first = await cache.read("getPoolInfo", [], poolInfo);
+    const second = await cache.read("getPoolInfo", [], poolInfo);
+    expect(second).to.equal(first);
+    expect(loads).to.equal(1);
+
+    // Per-block caching only: a new head block is a new read
+    await ethers.provider.send("evm_mine");
+    await cache.read("getPoolInfo", [], poolInfo);
+    expect(loads).to.equal(2);
+  });
+
+  it("Should reload getPoolInfo after a LoanCreated event", async function () {
+    const cache = new ReadCache({ provider: ethers.provider }, { maxBlockAge: 10 });
+    expect(await cache.read("getPoolInfo", [], poolInfo)).to.equal("0");
+
+    const { events, receipt } = await borrow("500");
+    // Within maxBlockAge and before the event is seen, the old result is served
+    expect(await cache.read("getPoolInfo", [], poolInfo)).to.equal("0");
+    expect(loads).to.equal(1);
+
+    expect(events.map((event) => event.name)).to.include("LoanCreated");
+    await cache.invalidateEvents(events, receipt.blockNumber);
+
+    expect(await cache.read("getPoolInfo", [], poolInfo)).to.equal(usdc("500").toString());
+    expect(loads).to.equal(2);
+  });
+
+  it("Should drop every result at or after the block of a removed event", async function () {
+    const cache = new ReadCache({ provider: ethers.provider }, { maxBlockAge: 10 });
+    const before = await ethers.provider.getBlockNumber();
+    const { receipt } = await borrow("500");
+    const { blockNumber } = receipt;
+
+    await cache.read("getPoolInfo", [], poolInfo);
+    await cache.read("getPoolInfo", [], poolInfo, { blockTag: before });
+    // LoanCreated does not invalidate getUserCollaterals; only the reorg drops it
+    await cache.read("getUserCollaterals", [user1.address], userCollaterals, { blockTag: blockNumber });
+    expect(loads).to.equal(3);
+
+    await cache.invalidate("LoanCreated", { blockNumber, removed: true });
+
+    loads = 0;
+    await cache.read("getPoolInfo", [], poolInfo, { blockTag: before });
+    expect(loads).to.equal(0);
+
+    await cache.read("getPoolInfo", [], poolInfo);
+    expect(loads).to.equal(1);
+    await cache.read("getUserCollaterals", [user1.address], userCollaterals, { blockTag: blockNumber });
+    expect(loads).to.equal(2);
+  });
+
+  it("Should count hits and misses per method", async function () {
+    const cache = new ReadCache({ provider: ethers.provider });
+
+    await cache.read("getPoolInfo", [], poolInfo);
+    await cache.read("getPoolInfo", [], poolInfo);
+    await cache.read("getPoolInfo", [], poolInfo);
+    await cache.read("getUserCollaterals", [user1.address], userCollaterals);
+    await cache.invalidate("LoanCreated");
+
+    const metrics = cache.getMetrics();
+    expect(metrics.hits).to.equal(2);
+    expect(metrics.misses).to.equal(2);
+    expect(metrics.hitRate).to.equal(0.5);
+    expect(metrics.invalidations).to.equal(3);
+    expect(metrics.methods.getPoolInfo).to.deep.equal({ hits: 2, misses: 1, hitRate: 2 / 3 });
+    expect(metrics.methods.getUserCollaterals).to.deep.equal({ hits: 0, misses: 1, hitRate: 0 });
+
+    cache.resetMetrics();
+    expect(cache.getMetrics()).to.deep.equal({ hits: 0, misses: 0, hitRate: 0, invalidations: 0, methods: {} });
+  });
+});
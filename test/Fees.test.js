@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("SDK FeeManager", function () {
+  let FeeManager;
+  let TRANSACTION_EVENTS;
+  let TransactionTimeoutError;
+  let owner;
+  let user1;
+
+  const gwei = (amount) => ethers.utils.parseUnits(amount, "gwei");
+  const fixed = { type: "fixed", maxFeePerGas: gwei("100"), maxPriorityFeePerGas: gwei("2") };
+  const transfer = () => ({ to: user1.address, value: 1 });
+  const mine = () => network.provider.send("evm_mine");
+
+  // Collect lifecycle events, mining a block whenever a replacement is sent
+  const recorder = () => {
+    const events = [];
+    return {
+      events,
+      onTransactionEvent: (event) => {
+        events.push(event);
+        if (event.type === TRANSACTION_EVENTS.REPLACED) {
+          mine();
+        }
+      },
+    };
+  };
+
+  before(async function () {
+    ({ default: FeeManager, TRANSACTION_EVENTS } = await import("../sdk/Fees.js"));
+    ({ TransactionTimeoutError } = await import("../sdk/errors.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+    await mine();
+  });
+
+  describe("Replacement fees", function () {
+    it("Should bump the previous fees by bumpPercent, rounding up", async function () {
+      const fees = new FeeManager(ethers.provider, { strategy: fixed, bumpPercent: 15 });
+
+      const replacement = await fees.replacementFees({ maxFeePerGas: gwei("100"), maxPriorityFeePerGas: gwei("3").add(1) });
+      expect(replacement.maxFeePerGas).to.equal(gwei("115"));
+      expect(replacement.maxPriorityFeePerGas).to.equal(gwei("3.45").add(2));
+    });
+
+    it("Should use the strategy's fees when they are above the bump", async function () {
+      const fees = new FeeManager(ethers.provider, { strategy: fixed });
+
+      const replacement = await fees.replacementFees({ maxFeePerGas: gwei("10"), maxPriorityFeePerGas: gwei("1") });
+      expect(replacement.maxFeePerGas).to.equal(gwei("100"));
+      expect(replacement.maxPriorityFeePerGas).to.equal(gwei("2"));
+    });
+
+    it("Should return null when maxFeeCap leaves no room for a bump", async function () {
+      const fees = new FeeManager(ethers.provider, { strategy: fixed, maxFeeCap: gwei("110") });
+
+      expect(await fees.replacementFees({ maxFeePerGas: gwei("100"), maxPriorityFeePerGas: gwei("2") })).to.equal(null);
+      expect((await fees.estimateFees()).maxFeePerGas).to.equal(gwei("100"));
+    });
+
+    it("Should price from eth_feeHistory by default", async function () {
+      const fees = await new FeeManager(ethers.provider).estimateFees();
+      const block = await ethers.provider.getBlock("latest");
+
+      expect(fees.maxFeePerGas.gte(block.baseFeePerGas)).to.equal(true);
+      expect(fees.maxPriorityFeePerGas.lte(fees.maxFeePerGas)).to.equal(true);
+    });
+  });
+
+  describe("Sending", function () {
+    it("Should send with the strategy's fees and report each step", async function () {
+      const fees = new FeeManager(ethers.provider, { strategy: fixed });
+      const { events, onTransactionEvent } = recorder();
+
+      const receipt = await fees.send(owner, transfer(), { onTransactionEvent });
+      const transaction = await ethers.provider.getTransaction(receipt.transactionHash);
+
+      expect(receipt.status).to.equal(1);
+      expect(transaction.type).to.equal(2);
+      expect(transaction.maxFeePerGas).to.equal(gwei("100"));
+      expect(events.map((event) => event.type)).to.deep.equal([
+        TRANSACTION_EVENTS.SUBMITTED,
+        TRANSACTION_EVENTS.MINED,
+        TRANSACTION_EVENTS.CONFIRMED,
+      ]);
+    });
+
+    it("Should speed up a stuck transaction with bumped fees", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const fees = new FeeManager(ethers.provider, { strategy: fixed, timeout: 300, pollInterval: 50 });
+      const { events, onTransactionEvent } = recorder();
+      const balance = await ethers.provider.getBalance(user1.address);
+
+      const receipt = await fees.send(owner, transfer(), { onTransactionEvent });
+      const [submitted, replaced] = events;
+
+      expect(events.map((event) => event.type)).to.deep.equal([
+        TRANSACTION_EVENTS.SUBMITTED,
+        TRANSACTION_EVENTS.REPLACED,
+        TRANSACTION_EVENTS.MINED,
+        TRANSACTION_EVENTS.CONFIRMED,
+      ]);
+      expect(replaced.replaces).to.equal(submitted.hash);
+      expect(replaced.nonce).to.equal(submitted.nonce);
+      expect(replaced.cancel).to.equal(false);
+      expect(replaced.maxFeePerGas).to.equal(gwei("115").toString());
+      expect(receipt.transactionHash).to.equal(replaced.hash);
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(balance.add(1));
+    });
+
+    it("Should cancel a stuck transaction with a self-transfer", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const fees = new FeeManager(ethers.provider, { strategy: fixed, timeout: 300, pollInterval: 50, onTimeout: "cancel" });
+      const { events, onTransactionEvent } = recorder();
+      const balance = await ethers.provider.getBalance(user1.address);
+
+      let error;
+      try {
+        await fees.send(owner, transfer(), { onTransactionEvent });
+      } catch (e) {
+        error = e;
+      }
+
+      const replaced = events.find((event) => event.type === TRANSACTION_EVENTS.REPLACED);
+      expect(error).to.be.instanceOf(TransactionTimeoutError);
+      expect(error.context.cancelledBy).to.equal(replaced.hash);
+      expect(replaced.cancel).to.equal(true);
+      expect(events[events.length - 1].type).to.equal(TRANSACTION_EVENTS.FAILED);
+
+      const cancel = await ethers.provider.getTransaction(replaced.hash);
+      expect(cancel.to).to.equal(owner.address);
+      expect(cancel.value).to.equal(0);
+      expect(await ethers.provider.getBalance(user1.address)).to.equal(balance);
+    });
+
+    it("Should give up after maxReplacements timeouts", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const fees = new FeeManager(ethers.provider, { strategy: fixed, timeout: 200, pollInterval: 50, maxReplacements: 1 });
+      const events = [];
+
+      let error;
+      try {
+        await fees.send(owner, transfer(), { onTransactionEvent: (event) => events.push(event) });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.instanceOf(TransactionTimeoutError);
+      expect(error.message).to.contain("was not mined after 2 attempt(s)");
+      expect(error.context.hashes).to.have.length(2);
+      expect(events.map((event) => event.type)).to.deep.equal([
+        TRANSACTION_EVENTS.SUBMITTED,
+        TRANSACTION_EVENTS.REPLACED,
+        TRANSACTION_EVENTS.FAILED,
+      ]);
+    });
+
+    it("Should fall back to a legacy gasPrice on chains without EIP-1559", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const gasPrice = gwei("50");
+      // A node with neither eth_feeHistory nor a base fee
+      const provider = Object.create(ethers.provider, {
+        send: {
+          value: (method, params) => (method === "eth_feeHistory" ? Promise.reject(new Error("method not found")) : ethers.provider.send(method, params)),
+        },
+        getFeeData: {
+          value: async () => ({ gasPrice, maxFeePerGas: null, maxPriorityFeePerGas: null }),
+        },
+      });
+      const fees = new FeeManager(provider, { timeout: 300, pollInterval: 50, maxFeeCap: gwei("60") });
+      const { events, onTransactionEvent } = recorder();
+
+      expect(await fees.estimateFees()).to.deep.equal({ gasPrice });
+
+      const receipt = await fees.send(owner, transfer(), { onTransactionEvent });
+      const [submitted, replaced] = events;
+      const transaction = await ethers.provider.getTransaction(receipt.transactionHash);
+
+      expect(submitted.gasPrice).to.equal(gasPrice.toString());
+      expect(replaced.gasPrice).to.equal(gwei("57.5").toString());
+      expect(replaced.maxFeePerGas).to.equal(undefined);
+      expect(transaction.type).to.equal(0);
+      expect(transaction.gasPrice).to.equal(gwei("57.5"));
+      expect(await fees.replacementFees({ gasPrice: gwei("57.5") })).to.equal(null);
+    });
+
+    it("Should fail when the nonce is used by a transaction it did not send", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const fees = new FeeManager(ethers.provider, { strategy: fixed, timeout: 500, pollInterval: 50 });
+      let outside;
+
+      let error;
+      try {
+        await fees.send(owner, transfer(), {
+          onTransactionEvent: (event) => {
+            if (event.type === TRANSACTION_EVENTS.SUBMITTED) {
+              outside = owner
+                .sendTransaction({ to: owner.address, value: 0, nonce: event.nonce, maxFeePerGas: gwei("200"), maxPriorityFeePerGas: gwei("5") })
+                .then(mine);
+            }
+          },
+        });
+      } catch (e) {
+        error = e;
+      }
+      await outside;
+
+      expect(error).to.be.instanceOf(TransactionTimeoutError);
+      expect(error.message).to.contain("was used by a transaction the SDK did not send");
+    });
+  });
+});
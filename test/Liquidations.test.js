@@ -0,0 +1,165 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SDK LiquidationModule", function () {
+  let MetaLendSDK;
+  let LiquidationModule;
+  let Multicall;
+  let quoteLiquidation;
+  let liquidations;
+  let liquidationEngine;
+  let collateralManager;
+  let mockAsset;
+  let mockNFT;
+  let owner;
+  let user1;
+  let liquidator;
+
+  const ether = (amount) => ethers.utils.parseEther(amount);
+  const ids = (statuses) => statuses.map((status) => status.collateralId);
+
+  before(async function () {
+    ({ default: MetaLendSDK } = await import("../sdk/MetaLendSDK.js"));
+    ({ default: LiquidationModule, quoteLiquidation } = await import("../sdk/Liquidations.js"));
+    ({ default: Multicall } = await import("../sdk/Multicall.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, user1, liquidator] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockAsset = await MockERC20.deploy("Mock DAI", "DAI", 18, ether("1000000"));
+    await mockAsset.deployed();
+
+    const MockERC721 = await ethers.getContractFactory("MockERC721");
+    mockNFT = await MockERC721.deploy("Mock NFT", "MNFT");
+    await mockNFT.deployed();
+
+    const NFTOracle = await ethers.getContractFactory("NFTOracle");
+    const nftOracle = await NFTOracle.deploy("0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419");
+    await nftOracle.deployed();
+
+    const CollateralManager = await ethers.getContractFactory("CollateralManager");
+    collateralManager = await CollateralManager.deploy(nftOracle.address);
+    await collateralManager.deployed();
+
+    const LoanPool = await ethers.getContractFactory("LoanPool");
+    const loanPool = await LoanPool.deploy(mockAsset.address, collateralManager.address);
+    await loanPool.deployed();
+
+    const LiquidationEngine = await ethers.getContractFactory("LiquidationEngine");
+    liquidationEngine = await LiquidationEngine.deploy(collateralManager.address, loanPool.address, mockAsset.address);
+    await liquidationEngine.deployed();
+
+    const MetaLend = await ethers.getContractFactory("MetaLend");
+    const metaLend = await MetaLend.deploy(
+      collateralManager.address,
+      loanPool.address,
+      liquidationEngine.address,
+      nftOracle.address
+    );
+    await metaLend.deployed();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const multicall3 = await Multicall3.deploy();
+    await multicall3.deployed();
+
+    await collateralManager.setLiquidationEngine(liquidationEngine.address);
+
+    // CollateralManager values token N at N + 1 ether
+    for (const tokenId of [1, 2, 3]) {
+      await mockNFT["mint(address,uint256)"](user1.address, tokenId);
+      await mockNFT.connect(user1).approve(collateralManager.address, tokenId);
+      await collateralManager.connect(user1).depositCollateral(mockNFT.address, tokenId, ether("1"));
+    }
+    await mockAsset.transfer(liquidator.address, ether("100"));
+
+    // The SDK's ABIs are not part of the build, so wire the deployed contracts in directly
+    const sdk = new MetaLendSDK(ethers.provider);
+    sdk.contracts = { metaLend, collateralManager, loanPool, liquidationEngine };
+    sdk.multicall = new Multicall(ethers.provider, { address: multicall3.address });
+    sdk.initialized = true;
+    liquidations = new LiquidationModule(sdk);
+  });
+
+  describe("quoteLiquidation", function () {
+    it("Should price an untriggered liquidation from the recorded collateral value", function () {
+      const quote = quoteLiquidation({ collateralValue: ether("4"), liquidationBonus: 500 });
+
+      expect(quote).to.deep.equal({
+        debtRepaid: ether("2.8").toString(),
+        bonus: ether("0.2").toString(),
+        paymentRequired: ether("3").toString(),
+        netCost: ether("2.8").toString(),
+      });
+    });
+
+    it("Should price a triggered liquidation from the recorded debt and bonus", function () {
+      const quote = quoteLiquidation({
+        collateralValue: ether("4"),
+        liquidationBonus: 2000,
+        debtAmount: ether("1"),
+        bonusAmount: ether("0.5"),
+      });
+
+      expect(quote.debtRepaid).to.equal(ether("1").toString());
+      expect(quote.bonus).to.equal(ether("0.5").toString());
+      expect(quote.paymentRequired).to.equal(ether("1.5").toString());
+      expect(quote.netCost).to.equal(ether("1").toString());
+    });
+  });
+
+  describe("Candidate scan", function () {
+    beforeEach(async function () {
+      // A lower threshold makes every collateral eligible: executable #2, pending #1
+      await liquidationEngine.updateLiquidationParameters(6000, 500, 3600);
+      await liquidationEngine.triggerLiquidation(2);
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await liquidationEngine.triggerLiquidation(1);
+    });
+
+    it("Should list eligible, pending and executable collateral", async function () {
+      const candidates = await liquidations.getLiquidatable();
+
+      expect(ids(candidates)).to.deep.equal(["1", "2", "3"]);
+      expect(candidates.map((candidate) => candidate.status)).to.deep.equal(["pending", "executable", "eligible"]);
+      expect(candidates[0].secondsRemaining).to.be.greaterThan(0);
+      expect(candidates[1].secondsRemaining).to.equal(0);
+      expect(candidates[2].executableAt).to.equal(null);
+    });
+
+    it("Should skip healthy and, on request, pending collateral", async function () {
+      // Back to the default threshold: #3 is healthy again, triggered ones stay listed
+      await liquidationEngine.updateLiquidationParameters(8000, 500, 3600);
+
+      expect(ids(await liquidations.getLiquidatable())).to.deep.equal(["1", "2"]);
+      expect(ids(await liquidations.getLiquidatable({ includePending: false }))).to.deep.equal(["2"]);
+      expect(ids(await liquidations.getLiquidatable({ fromId: 2, toId: 2 }))).to.deep.equal(["2"]);
+    });
+
+    it("Should quote triggered collateral from the amounts recorded at trigger time", async function () {
+      const info = await liquidationEngine.getLiquidationInfo(2);
+      await liquidationEngine.updateLiquidationParameters(6000, 2000, 3600);
+
+      const [pending, executable, eligible] = await liquidations.getLiquidatable();
+
+      expect(executable.quote.debtRepaid).to.equal(info.debtAmount.toString());
+      expect(executable.quote.bonus).to.equal(info.liquidationBonus.toString());
+      expect(executable.quote.paymentRequired).to.equal(info.debtAmount.add(info.liquidationBonus).toString());
+      expect(pending.quote.bonus).to.equal(ether("0.1").toString());
+      expect(eligible.quote.bonus).to.equal(ether("0.8").toString());
+    });
+
+    it("Should charge the liquidator the net cost and leave the NFT with the collateral manager", async function () {
+      const { quote } = await liquidations.getLiquidationStatus(2);
+      const balance = await mockAsset.balanceOf(liquidator.address);
+
+      await liquidations.executeLiquidation(2, liquidator, { ensureApprovals: true });
+
+      expect(await mockAsset.balanceOf(liquidator.address)).to.equal(balance.sub(quote.netCost));
+      expect(await mockNFT.ownerOf(2)).to.equal(collateralManager.address);
+      expect((await liquidations.getLiquidationStatus(2)).status).to.equal("liquidated");
+    });
+  });
+});
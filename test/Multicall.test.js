@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Multicall3", function () {
+  let Multicall;
+  let multicall3;
+  let token;
+  let owner;
+  let user1;
+
+  const ERC721 = new ethers.utils.Interface(["function ownerOf(uint256 tokenId) view returns (address)"]);
+
+  before(async function () {
+    ({ default: Multicall } = await import("../sdk/Multicall.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Mock USDC", "USDC", 6, ethers.utils.parseUnits("1000000", 6));
+    await token.deployed();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall3 = await Multicall3.deploy();
+    await multicall3.deployed();
+  });
+
+  describe("Contract", function () {
+    it("Should return the result of every call", async function () {
+      const results = await multicall3.callStatic.aggregate3([
+        { target: token.address, allowFailure: false, callData: token.interface.encodeFunctionData("balanceOf", [owner.address]) },
+        { target: token.address, allowFailure: true, callData: ERC721.encodeFunctionData("ownerOf", [1]) },
+      ]);
+
+      expect(results[0].success).to.equal(true);
+      expect(token.interface.decodeFunctionResult("balanceOf", results[0].returnData)[0]).to.equal(
+        ethers.utils.parseUnits("1000000", 6)
+      );
+      expect(results[1].success).to.equal(false);
+    });
+
+    it("Should revert when a call that may not fail fails", async function () {
+      await expect(
+        multicall3.callStatic.aggregate3([
+          { target: token.address, allowFailure: false, callData: ERC721.encodeFunctionData("ownerOf", [1]) },
+        ])
+      ).to.be.revertedWith("Multicall3: call failed");
+    });
+
+    it("Should report the block and chain", async function () {
+      const block = await ethers.provider.getBlock("latest");
+
+      expect(await multicall3.getBlockNumber()).to.equal(block.number);
+      expect(await multicall3.getCurrentBlockTimestamp()).to.equal(block.timestamp);
+      expect(await multicall3.getChainId()).to.equal((await ethers.provider.getNetwork()).chainId);
+    });
+  });
+
+  describe("SDK Multicall", function () {
+    const reads = () => [
+      { contract: token, method: "balanceOf", args: [owner.address] },
+      { contract: token, method: "balanceOf", args: [user1.address] },
+      { contract: token, method: "decimals" },
+      { contract: token, method: "symbol" },
+      { contract: token, method: "totalSupply" },
+    ];
+
+    it("Should split calls into batches and keep their order", async function () {
+      const multicall = new Multicall(ethers.provider, { address: multicall3.address, batchSize: 2 });
+      let batches = 0;
+      const aggregate = multicall.aggregate.bind(multicall);
+      multicall.aggregate = (calls, overrides) => {
+        batches++;
+        return aggregate(calls, overrides);
+      };
+
+      const [balance, other, decimals, symbol, supply] = await multicall.all(reads());
+
+      expect(batches).to.equal(3);
+      expect(balance).to.equal(ethers.utils.parseUnits("1000000", 6));
+      expect(other).to.equal(0);
+      expect(decimals).to.equal(6);
+      expect(symbol).to.equal("USDC");
+      expect(supply).to.equal(balance);
+    });
+
+    it("Should read at the given blockTag", async function () {
+      const multicall = new Multicall(ethers.provider, { address: multicall3.address });
+      const blockTag = await ethers.provider.getBlockNumber();
+      await token.transfer(user1.address, 100);
+
+      const [before] = await multicall.all([{ contract: token, method: "balanceOf", args: [user1.address] }], { blockTag });
+      const [after] = await multicall.all([{ contract: token, method: "balanceOf", args: [user1.address] }]);
+
+      expect(before).to.equal(0);
+      expect(after).to.equal(100);
+    });
+
+    for (const batched of [true, false]) {
+      describe(batched ? "Through Multicall3" : "Without a multicall contract", function () {
+        let multicall;
+
+        beforeEach(function () {
+          multicall = new Multicall(ethers.provider, batched ? { address: multicall3.address } : {});
+        });
+
+        it("Should return null for failed calls that allow failure", async function () {
+          const nft = new ethers.Contract(token.address, ERC721, ethers.provider);
+          const [balance, owner0] = await multicall.all([
+            { contract: token, method: "balanceOf", args: [owner.address] },
+            { contract: nft, method: "ownerOf", args: [1], allowFailure: true },
+          ]);
+
+          expect(multicall.isBatched()).to.equal(batched);
+          expect(balance).to.equal(ethers.utils.parseUnits("1000000", 6));
+          expect(owner0).to.equal(null);
+        });
+
+        it("Should return null for calls to an account without code that allow failure", async function () {
+          const nft = new ethers.Contract(user1.address, ERC721, ethers.provider);
+          const [ownerOf] = await multicall.all([{ contract: nft, method: "ownerOf", args: [1], allowFailure: true }]);
+
+          expect(ownerOf).to.equal(null);
+        });
+
+        it("Should reject the batch when a call that may not fail fails", async function () {
+          const nft = new ethers.Contract(token.address, ERC721, ethers.provider);
+          let error;
+          try {
+            await multicall.all([{ contract: nft, method: "ownerOf", args: [1] }]);
+          } catch (e) {
+            error = e;
+          }
+
+          expect(error).to.not.equal(undefined);
+        });
+      });
+    }
+  });
+});
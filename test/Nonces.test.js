@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("SDK NonceManager", function () {
+  let NonceManager;
+  let TRANSACTION_STATUSES;
+  let manager;
+  let owner;
+  let user1;
+  let user2;
+
+  const gwei = (amount) => ethers.utils.parseUnits(amount, "gwei");
+  const transfer = (to) => ({ to, value: 1 });
+  const mine = () => network.provider.send("evm_mine");
+
+  before(async function () {
+    ({ default: NonceManager, TRANSACTION_STATUSES } = await import("../sdk/Nonces.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    manager = new NonceManager(ethers.provider);
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+    await mine();
+  });
+
+  it("Should give concurrent sends consecutive nonces", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const signer = manager.connect(owner);
+    const start = await owner.getTransactionCount();
+
+    const responses = await Promise.all([
+      signer.sendTransaction(transfer(user1.address)),
+      signer.sendTransaction(transfer(user1.address)),
+      signer.sendTransaction(transfer(user1.address)),
+    ]);
+
+    expect(responses.map((response) => response.nonce)).to.deep.equal([start, start + 1, start + 2]);
+    expect(manager.getQueueDepth(owner.address)).to.deep.equal({ queued: 0, inFlight: 3, total: 3 });
+
+    await mine();
+    await Promise.all(responses.map((response) => response.wait()));
+    expect(manager.getQueueDepth(owner.address).total).to.equal(0);
+    expect(manager.getTransactions(owner.address).map((entry) => entry.status)).to.deep.equal([
+      TRANSACTION_STATUSES.MINED,
+      TRANSACTION_STATUSES.MINED,
+      TRANSACTION_STATUSES.MINED,
+    ]);
+  });
+
+  it("Should reuse the nonce of a send that was never broadcast", async function () {
+    const signer = manager.connect(owner);
+    const start = await owner.getTransactionCount();
+
+    await expect(signer.sendTransaction({ ...transfer(user1.address), gasLimit: 20000 })).to.be.rejected;
+    expect(manager.getTransactions(owner.address)[0].status).to.equal(TRANSACTION_STATUSES.FAILED);
+
+    const response = await signer.sendTransaction(transfer(user1.address));
+    expect(response.nonce).to.equal(start);
+    await response.wait();
+  });
+
+  it("Should fill the gap of a dropped transaction", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const signer = manager.connect(owner, { action: "transfer" });
+    const start = await owner.getTransactionCount();
+
+    const dropped = await signer.sendTransaction(transfer(user1.address));
+    const next = await signer.sendTransaction(transfer(user1.address));
+    await network.provider.send("hardhat_dropTransaction", [dropped.hash]);
+
+    const inFlight = await manager.reconcile(owner.address);
+    expect(inFlight.map(({ nonce, status }) => ({ nonce, status }))).to.deep.equal([
+      { nonce: start, status: TRANSACTION_STATUSES.DROPPED },
+      { nonce: start + 1, status: TRANSACTION_STATUSES.SUBMITTED },
+    ]);
+    expect(inFlight[0].action).to.equal("transfer");
+
+    const refill = await signer.sendTransaction(transfer(user1.address));
+    expect(refill.nonce).to.equal(start);
+
+    const after = await signer.sendTransaction(transfer(user1.address));
+    expect(after.nonce).to.equal(start + 2);
+
+    await mine();
+    await Promise.all([next.wait(), refill.wait(), after.wait()]);
+    expect(await owner.getTransactionCount()).to.equal(start + 3);
+  });
+
+  it("Should not refill a gap another sender has taken", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const signer = manager.connect(owner);
+    const start = await owner.getTransactionCount();
+
+    const dropped = await signer.sendTransaction(transfer(user1.address));
+    await network.provider.send("hardhat_dropTransaction", [dropped.hash]);
+    await manager.reconcile(owner.address);
+
+    // Outside the manager, priced so the manager's copy cannot replace it
+    await owner.sendTransaction({ ...transfer(user2.address), nonce: start, maxFeePerGas: gwei("100"), maxPriorityFeePerGas: gwei("10") });
+
+    const response = await signer.sendTransaction(transfer(user1.address));
+    expect(response.nonce).to.equal(start + 1);
+
+    await mine();
+    await response.wait();
+  });
+
+  it("Should mark a transaction replaced outside the manager", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const signer = manager.connect(owner);
+
+    const response = await signer.sendTransaction(transfer(user1.address));
+    const replacement = await owner.sendTransaction({
+      ...transfer(user2.address),
+      nonce: response.nonce,
+      maxFeePerGas: gwei("100"),
+      maxPriorityFeePerGas: gwei("10"),
+    });
+    await mine();
+
+    const [entry] = await manager.reconcile(owner.address);
+    expect(entry.hash).to.equal(response.hash);
+    expect(entry.status).to.equal(TRANSACTION_STATUSES.REPLACED);
+    expect((await replacement.wait()).status).to.equal(1);
+  });
+
+  it("Should retry once with a fresh nonce when the nonce expired", async function () {
+    const start = await owner.getTransactionCount();
+
+    // Another sender lands a transaction between the nonce read and the broadcast
+    let race = () => owner.sendTransaction(transfer(user2.address));
+    manager.provider = Object.create(ethers.provider, {
+      getTransactionCount: {
+        value: async (address, blockTag) => {
+          const count = await ethers.provider.getTransactionCount(address, blockTag);
+          if (blockTag === "pending" && race) {
+            const pending = race;
+            race = null;
+            await pending();
+          }
+          return count;
+        },
+      },
+    });
+
+    const response = await manager.connect(owner).sendTransaction(transfer(user1.address));
+    expect(response.nonce).to.equal(start + 1);
+    await response.wait();
+    expect(manager.getStatus(response.hash).status).to.equal(TRANSACTION_STATUSES.MINED);
+  });
+});
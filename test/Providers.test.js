@@ -0,0 +1,182 @@
+const { spawn } = require("child_process");
+const net = require("net");
+const { expect } = require("chai");
+const { ethers, config } = require("hardhat");
+
+// First default Hardhat account, funded on every node
+const FUNDED_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const NETWORK = { name: "hardhat", chainId: 1337 };
+
+// A port nothing listens on once this resolves
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+describe("SDK MultiRpcProvider", function () {
+  let MultiRpcProvider;
+  let nodes;
+  let deadUrl;
+
+  const direct = (node) => new ethers.providers.StaticJsonRpcProvider(node.url, NETWORK);
+  const startNode = async () => {
+    const port = await freePort();
+    const child = spawn(
+      process.execPath,
+      [require.resolve("hardhat/internal/cli/cli"), "--config", config.paths.configFile, "node", "--port", String(port)],
+      { stdio: "ignore" }
+    );
+    const node = { url: `http://127.0.0.1:${port}`, child };
+    nodes.push(node);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await direct(node).getBlockNumber();
+        return node;
+      } catch (error) {
+        if (attempt >= 240) {
+          child.kill();
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 500));
+      }
+    }
+  };
+
+  // Mine on `node` until it is `lead` blocks ahead of `other`
+  const lead = async (node, other, blocks) => {
+    const [head, otherHead] = await Promise.all([direct(node).getBlockNumber(), direct(other).getBlockNumber()]);
+    const missing = otherHead + blocks - head;
+    if (missing > 0) {
+      await direct(node).send("hardhat_mine", [ethers.utils.hexValue(missing)]);
+    }
+  };
+
+  const signTransfer = (wallet, nonce) =>
+    wallet.signTransaction({
+      to: ethers.Wallet.createRandom().address,
+      value: 1,
+      nonce,
+      gasLimit: 21000,
+      maxFeePerGas: ethers.utils.parseUnits("100", "gwei"),
+      maxPriorityFeePerGas: ethers.utils.parseUnits("1", "gwei"),
+      chainId: NETWORK.chainId,
+      type: 2,
+    });
+
+  before(async function () {
+    this.timeout(300000);
+    ({ default: MultiRpcProvider } = await import("../sdk/Providers.js"));
+    nodes = [];
+    for (let i = 0; i < 3; i++) {
+      await startNode();
+    }
+    deadUrl = `http://127.0.0.1:${await freePort()}`;
+  });
+
+  after(async function () {
+    const running = (nodes || []).filter((node) => node.child.exitCode === null && node.child.signalCode === null);
+    await Promise.all(running.map((node) => {
+      const exited = new Promise((resolve) => node.child.once("exit", resolve));
+      node.child.kill();
+      return exited;
+    }));
+  });
+
+  it("Should rank a lagging endpoint after a fresh one", async function () {
+    const [a, b] = nodes;
+    const provider = new MultiRpcProvider([a.url, b.url], { network: NETWORK, maxBlockLag: 2 });
+
+    await lead(a, b, 5);
+    let health = await provider.checkHealth();
+    expect(health.map((endpoint) => endpoint.url)).to.deep.equal([a.url, b.url]);
+    expect(health[1].blocksBehind).to.equal(5);
+    expect(health[1].healthy).to.equal(true);
+
+    await lead(b, a, 5);
+    health = await provider.checkHealth();
+    expect(health.map((endpoint) => endpoint.url)).to.deep.equal([b.url, a.url]);
+    expect(health[1].blocksBehind).to.equal(5);
+    expect(await provider.getBlockNumber()).to.equal(health[0].blockNumber);
+  });
+
+  it("Should rank an endpoint that does not answer last and never read from it", async function () {
+    const [a] = nodes;
+    const provider = new MultiRpcProvider([deadUrl, a.url], { network: NETWORK, timeout: 2000 });
+
+    const health = await provider.checkHealth();
+    expect(health.map((endpoint) => endpoint.url)).to.deep.equal([a.url, deadUrl]);
+    expect(health[1].healthy).to.equal(false);
+
+    const [before] = provider.getHealth().filter((endpoint) => endpoint.url === deadUrl);
+    expect(await provider.getBlockNumber()).to.equal(await direct(a).getBlockNumber());
+    const [after] = provider.getHealth().filter((endpoint) => endpoint.url === deadUrl);
+    expect(after.requests).to.equal(before.requests);
+  });
+
+  it("Should not send a transaction to a second endpoint once the first answered", async function () {
+    const [a, b] = nodes;
+    const provider = new MultiRpcProvider([a.url, b.url], { network: NETWORK });
+
+    // Funded on `b` only, so `a` rejects what `b` would accept
+    const wallet = ethers.Wallet.createRandom();
+    const funder = new ethers.Wallet(FUNDED_KEY, direct(b));
+    await (await funder.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther("1") })).wait();
+
+    await lead(a, b, 5);
+    const health = await provider.checkHealth();
+    expect(health[0].url).to.equal(a.url);
+
+    const signed = await signTransfer(wallet, 0);
+    let error;
+    try {
+      await provider.sendTransaction(signed);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.match(/enough funds/);
+    expect(await direct(b).getTransaction(ethers.utils.keccak256(signed))).to.equal(null);
+    expect(await direct(b).getTransactionCount(wallet.address)).to.equal(0);
+    expect(provider.getHealth()[1].requests).to.equal(health[1].requests);
+  });
+
+  it("Should send a transaction to one endpoint only", async function () {
+    const [a, b] = nodes;
+    const provider = new MultiRpcProvider([a.url, b.url], { network: NETWORK });
+    const wallet = new ethers.Wallet(FUNDED_KEY);
+
+    await lead(b, a, 5);
+    await provider.checkHealth();
+    const nonce = await direct(b).getTransactionCount(wallet.address);
+    const response = await provider.sendTransaction(await signTransfer(wallet, nonce));
+
+    expect(await direct(b).getTransaction(response.hash)).to.not.equal(null);
+    expect(await direct(a).getTransaction(response.hash)).to.equal(null);
+  });
+
+  it("Should retry reads and broadcasts on the next endpoint when one goes down", async function () {
+    const [a, , c] = nodes;
+    const provider = new MultiRpcProvider([c.url, a.url], { network: NETWORK, timeout: 2000 });
+
+    await lead(c, a, 5);
+    expect((await provider.checkHealth())[0].url).to.equal(c.url);
+
+    c.child.kill();
+    await new Promise((resolve) => c.child.once("exit", resolve));
+
+    expect(await provider.getBlockNumber()).to.equal(await direct(a).getBlockNumber());
+    const [down] = provider.getHealth().filter((endpoint) => endpoint.url === c.url);
+    expect(down.errors).to.equal(1);
+    expect(down.consecutiveFailures).to.equal(1);
+
+    const wallet = new ethers.Wallet(FUNDED_KEY);
+    const nonce = await direct(a).getTransactionCount(wallet.address);
+    const response = await provider.sendTransaction(await signTransfer(wallet, nonce));
+    expect(await direct(a).getTransaction(response.hash)).to.not.equal(null);
+  });
+});
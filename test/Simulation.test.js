@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+describe("SDK TransactionSimulator", function () {
+  let TransactionSimulator;
+  let simulator;
+  let token;
+  let multicall;
+  let owner;
+  let user1;
+
+  const parseLogs = (logs) =>
+    logs.map((log) => {
+      const event = token.interface.parseLog(log);
+      return { name: event.name, address: log.address, args: event.args };
+    });
+
+  before(async function () {
+    ({ default: TransactionSimulator } = await import("../sdk/Simulation.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Mock USDC", "USDC", 6, ethers.utils.parseUnits("1000000", 6));
+    await token.deployed();
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+    await multicall.deployed();
+
+    simulator = new TransactionSimulator(ethers.provider);
+  });
+
+  it("Should preview a call without sending it", async function () {
+    const amount = ethers.utils.parseUnits("100", 6);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const preview = await simulator.simulate({
+      contract: token,
+      method: "transfer",
+      args: [user1.address, amount],
+      signer: owner,
+      parseLogs,
+    });
+
+    expect(preview.success).to.equal(true);
+    expect(preview.returnValues).to.equal(true);
+    expect(Number(preview.gasEstimate)).to.be.greaterThan(21000);
+    expect(preview.events).to.have.length(1);
+    expect(preview.events[0].name).to.equal("Transfer");
+    expect(preview.events[0].address).to.equal(token.address);
+    expect(preview.events[0].args.to).to.equal(user1.address);
+    expect(preview.events[0].args.value).to.equal(amount);
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await token.balanceOf(user1.address)).to.equal(0);
+  });
+
+  it("Should not queue anything when automine is off", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      const preview = await simulator.simulate({
+        contract: token,
+        method: "transfer",
+        args: [user1.address, 1],
+        signer: owner,
+        parseLogs,
+      });
+      expect(preview.events).to.have.length(1);
+
+      const pending = await network.provider.send("eth_getBlockByNumber", ["pending", false]);
+      expect(pending.transactions).to.have.length(0);
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+  });
+
+  it("Should keep events of subcalls and drop those of reverted subcalls", async function () {
+    await token.transfer(multicall.address, 50);
+    const transfer = (to, amount) => token.interface.encodeFunctionData("transfer", [to, amount]);
+
+    const preview = await simulator.simulate({
+      contract: multicall,
+      method: "aggregate3",
+      args: [
+        [
+          { target: token.address, allowFailure: false, callData: transfer(user1.address, 20) },
+          { target: token.address, allowFailure: true, callData: transfer(user1.address, 1000) },
+          { target: token.address, allowFailure: false, callData: transfer(owner.address, 30) },
+        ],
+      ],
+      signer: owner,
+      parseLogs,
+    });
+
+    expect(preview.success).to.equal(true);
+    expect(preview.events.map((event) => event.args.value.toNumber())).to.deep.equal([20, 30]);
+    expect(preview.events.every((event) => event.address === token.address)).to.equal(true);
+    expect(preview.events[0].args.from).to.equal(multicall.address);
+  });
+
+  it("Should report a call that would revert", async function () {
+    const preview = await simulator.simulate({
+      contract: token.connect(user1),
+      method: "transfer",
+      args: [owner.address, 1],
+      signer: user1,
+      parseLogs,
+    });
+
+    expect(preview.success).to.equal(false);
+    expect(preview.error).to.not.equal(null);
+    expect(preview.events).to.equal(null);
+  });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SDK TimelockClient", function () {
+  let MetaLendSDK;
+  let TimelockClient;
+  let ProposalBuilder;
+  let Multicall;
+  let hashOperation;
+  let hashOperationBatch;
+  let client;
+  let timelock;
+  let token;
+  let owner;
+  let user1;
+
+  const MIN_DELAY = 60;
+  const salt = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 32);
+  const transfer = (amount) => ({ target: "token", method: "transfer", args: [user1.address, amount] });
+  const wait = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  };
+
+  before(async function () {
+    ({ default: MetaLendSDK } = await import("../sdk/MetaLendSDK.js"));
+    ({ default: TimelockClient, hashOperation, hashOperationBatch } = await import("../sdk/Timelock.js"));
+    ({ default: ProposalBuilder } = await import("../sdk/Proposals.js"));
+    ({ default: Multicall } = await import("../sdk/Multicall.js"));
+  });
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const TimelockController = await ethers.getContractFactory(
+      "@openzeppelin/contracts/governance/TimelockController.sol:TimelockController"
+    );
+    timelock = await TimelockController.deploy(MIN_DELAY, [owner.address], [owner.address], owner.address);
+    await timelock.deployed();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("Mock USDC", "USDC", 6, ethers.utils.parseUnits("1000000", 6));
+    await token.deployed();
+    await token.transfer(timelock.address, 1000);
+
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const multicall3 = await Multicall3.deploy();
+    await multicall3.deployed();
+
+    // The SDK's ABIs are not part of the build, so wire the deployed contracts in directly
+    const sdk = new MetaLendSDK(ethers.provider);
+    sdk.contracts = { timelockController: timelock, token };
+    sdk.multicall = new Multicall(ethers.provider, { address: multicall3.address });
+    sdk.proposals = new ProposalBuilder(sdk.contracts, {});
+    sdk.initialized = true;
+    client = new TimelockClient(sdk, "timelockController");
+  });
+
+  it("Should compute the same operation ids as the timelock", async function () {
+    const data = token.interface.encodeFunctionData("transfer", [user1.address, 10]);
+    const predecessor = salt(7);
+
+    expect(hashOperation(token.address, 0, data, predecessor, salt(1))).to.equal(
+      await timelock.hashOperation(token.address, 0, data, predecessor, salt(1))
+    );
+    expect(hashOperationBatch([token.address, user1.address], [0, 5], [data, "0x"], predecessor, salt(2))).to.equal(
+      await timelock.hashOperationBatch([token.address, user1.address], [0, 5], [data, "0x"], predecessor, salt(2))
+    );
+    expect(client.buildOperation([transfer(10)], { predecessor, salt: salt(1) }).id).to.equal(
+      await timelock.hashOperation(token.address, 0, data, predecessor, salt(1))
+    );
+  });
+
+  it("Should report readyAt from the timelock once scheduled", async function () {
+    const { operation } = await client.schedule([transfer(10)], owner, { salt: salt(1) });
+
+    expect(operation.readyAt).to.equal((await timelock.getTimestamp(operation.id)).toNumber());
+    expect(await timelock.isOperationPending(operation.id)).to.equal(true);
+  });
+
+  it("Should execute ready operations after their predecessor", async function () {
+    const { operation: first } = await client.schedule([transfer(10)], owner, { salt: salt(1) });
+    const { operation: second } = await client.schedule([transfer(20), transfer(30)], owner, {
+      predecessor: first.id,
+      salt: salt(2),
+    });
+    await wait(MIN_DELAY);
+
+    const { executed, skipped } = await client.executeReady(owner);
+
+    expect(executed.map((operation) => operation.id)).to.deep.equal([first.id, second.id]);
+    expect(skipped).to.deep.equal([]);
+    expect(await timelock.isOperationDone(second.id)).to.equal(true);
+    expect(await token.balanceOf(user1.address)).to.equal(60);
+  });
+
+  it("Should execute an operation whose predecessor ran before the scanned range", async function () {
+    const { operation: first } = await client.schedule([transfer(10)], owner, { salt: salt(1) });
+    await wait(MIN_DELAY);
+    await client.execute(first, owner);
+
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const { operation: second } = await client.schedule([transfer(20)], owner, { predecessor: first.id, salt: salt(2) });
+    await wait(MIN_DELAY);
+
+    const { executed, skipped } = await client.executeReady(owner, { fromBlock });
+
+    expect(executed.map((operation) => operation.id)).to.deep.equal([second.id]);
+    expect(skipped).to.deep.equal([]);
+    expect(await token.balanceOf(user1.address)).to.equal(30);
+  });
+
+  it("Should skip an operation whose predecessor is not done", async function () {
+    const { operation: first } = await client.schedule([transfer(10)], owner, { salt: salt(1), delay: MIN_DELAY * 10 });
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const { operation: second } = await client.schedule([transfer(20)], owner, { predecessor: first.id, salt: salt(2) });
+    await wait(MIN_DELAY);
+
+    const { executed, skipped } = await client.executeReady(owner, { fromBlock });
+
+    expect(executed).to.deep.equal([]);
+    expect(skipped.map((operation) => operation.id)).to.deep.equal([second.id]);
+    expect(await token.balanceOf(user1.address)).to.equal(0);
+  });
+});